@@ -0,0 +1,228 @@
+document.addEventListener("DOMContentLoaded", () => {
+    // =========================
+    // DOM ELEMENTS
+    // =========================
+    const filterForm = document.getElementById("filterForm");
+    const jobsBody = document.querySelector("#jobs tbody");
+    const codesBody = document.querySelector("#codes tbody");
+    const detail = document.getElementById("detail");
+    const logoutBtn = document.getElementById("logoutBtn");
+    const papersBox = document.getElementById("papers");
+    const paperFilter = document.getElementById("paper");
+
+    let selectedId = null;
+
+    // =========================
+    // HELPERS
+    // =========================
+    async function api(url, options = {}) {
+        const response = await fetch(url, {
+            headers: { "Content-Type": "application/json" },
+            ...options
+        });
+        if (response.status === 401) {
+            window.location.href = "/admin/login";
+            return { success: false };
+        }
+        return response.json();
+    }
+
+    const post = (url, body = {}) => api(url, { method: "POST", body: JSON.stringify(body) });
+
+    function escapeHtml(value) {
+        return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+    }
+
+    // =========================
+    // JOB LIST
+    // =========================
+    async function loadJobs() {
+        const params = new URLSearchParams();
+        ["from", "to", "status", "color", "paper"].forEach(key => {
+            const value = document.getElementById(key).value;
+            if (value) params.set(key, value);
+        });
+
+        const result = await api(`/admin/api/transactions?${params}`);
+        if (!result.success) return alert(result.message || "Could not load transactions.");
+
+        jobsBody.innerHTML = "";
+        result.transactions.forEach(tx => {
+            const row = document.createElement("tr");
+            row.innerHTML = [
+                tx.Transaction_Id,
+                new Date(tx.Date).toLocaleString(),
+                tx.Print_Stage === "flip" ? "printing (flip paper)" : tx.Status,
+                tx.Color,
+                tx.Paper_Size,
+                tx.Pages,
+                tx.Copies,
+                tx.Amount
+            ].map(v => `<td>${escapeHtml(v)}</td>`).join("");
+            if (tx.Transaction_Id === selectedId) row.classList.add("selected");
+            row.addEventListener("click", () => showJob(tx.Transaction_Id));
+            jobsBody.appendChild(row);
+        });
+    }
+
+    filterForm.addEventListener("submit", e => {
+        e.preventDefault();
+        loadJobs();
+        loadCodes();
+    });
+
+    // =========================
+    // JOB CODES
+    // =========================
+    // Jobs set up on a phone whose code has not been typed at the kiosk yet
+    async function loadCodes() {
+        const result = await api("/admin/api/job-codes");
+        if (!result.success) return;
+
+        codesBody.innerHTML = result.codes.length ? "" : `<tr><td colspan="5">No codes waiting.</td></tr>`;
+        result.codes.forEach(c => {
+            const row = document.createElement("tr");
+            row.innerHTML = [
+                c.code,
+                c.id,
+                new Date(c.createdAt).toLocaleString(),
+                new Date(c.expiresAt).toLocaleTimeString(),
+                c.documents
+            ].map(v => `<td>${escapeHtml(v)}</td>`).join("");
+            row.addEventListener("click", () => showJob(c.id));
+            codesBody.appendChild(row);
+        });
+    }
+
+    // =========================
+    // JOB DETAIL
+    // =========================
+    async function showJob(id) {
+        selectedId = id;
+        const result = await api(`/admin/api/transactions/${id}`);
+        if (!result.success) return alert(result.message || "Could not load transaction.");
+
+        const tx = result.transaction;
+        const paid = result.payments.reduce((sum, p) => sum + p.Amount, 0);
+
+        detail.innerHTML = `
+            <p><b>Transaction #${tx.Transaction_Id}</b> — ${escapeHtml(tx.Status)}</p>
+            <p>${escapeHtml(new Date(tx.Date).toLocaleString())}</p>
+            ${tx.Job_Code ? `<p>Job code ${escapeHtml(tx.Job_Code)} — ${tx.Job_Code_Claimed_At
+                ? `picked up at the kiosk ${escapeHtml(new Date(tx.Job_Code_Claimed_At).toLocaleString())}`
+                : `valid until ${escapeHtml(new Date(tx.Job_Code_Expires_At).toLocaleString())}`}</p>` : ""}
+            ${result.items.length > 1 ? `<p>${result.items.length} documents:</p>` : `<p>${escapeHtml(tx.Color)}, ${escapeHtml(tx.Paper_Size)}, ${escapeHtml(tx.Duplex || "off")} duplex, pages ${escapeHtml(tx.Pages)} × ${escapeHtml(tx.Copies)}</p>`}
+            ${result.items.length > 1 ? `<ol>
+                ${result.items.map(i => `<li>${escapeHtml(i.color)}, ${escapeHtml(i.paper)}, ${escapeHtml(i.duplex || "off")} duplex, pages ${escapeHtml(i.pages)} × ${escapeHtml(i.copies)}
+                    ${i.amount != null ? `— ₱${escapeHtml(i.amount)}` : ""} (${escapeHtml(i.status)})</li>`).join("")}
+            </ol>` : ""}
+            ${tx.Page_Edits && result.items.length <= 1 ? `<p>Pages edited on the kiosk: ${escapeHtml(describeEdits(JSON.parse(tx.Page_Edits)))}</p>` : ""}
+            ${result.parts.length ? `<ul>
+                ${result.parts.map(p => `<li>Part ${escapeHtml(p.partNo)}: ${escapeHtml(p.paper)}, pages ${escapeHtml(p.pages)}
+                    ${p.amount != null ? `— ₱${escapeHtml(p.amount)}` : ""} (${escapeHtml(p.status)})</li>`).join("")}
+            </ul>` : ""}
+            ${tx.Print_Stage === "flip" ? `<p class="notice">Front sides printed. Turn the stack over, put it back in the tray, then press "Paper flipped".</p>` : ""}
+            <p>Charged ₱${escapeHtml(tx.Amount)} — received ₱${paid}</p>
+            ${tx.Print_Error ? `<p class="error">${escapeHtml(tx.Print_Error)}</p>` : ""}
+            <div class="actions">
+                ${tx.Print_Stage === "flip" ? `<button type="button" data-action="flipped">Paper flipped</button>` : ""}
+                <button type="button" data-action="reprint">Reprint</button>
+                <button type="button" data-action="cancel">Cancel print</button>
+                <button type="button" data-action="refund">Record refund</button>
+            </div>
+            <h3>History</h3>
+            <ul>
+                ${result.events.map(e => `<li>${escapeHtml(new Date(e.Created_At).toLocaleString())}:
+                    ${escapeHtml(e.Old_Status || "—")} → ${escapeHtml(e.New_Status)}
+                    ${e.Amount != null ? `(₱${escapeHtml(e.Amount)})` : ""} by ${escapeHtml(e.Actor)}
+                    ${e.Note ? `— ${escapeHtml(e.Note)}` : ""}</li>`).join("")}
+            </ul>
+            ${renderQuote(result.quote)}
+            <h3>Preview</h3>
+            <div class="previews">
+                ${result.previews.length ? result.previews.map(src => `<img src="${src}">`).join("") : "<p>No preview files kept.</p>"}
+            </div>
+        `;
+
+        detail.querySelector("[data-action='flipped']")?.addEventListener("click", () => runAction(id, "flipped"));
+        detail.querySelector("[data-action='reprint']").addEventListener("click", () => runAction(id, "reprint"));
+        detail.querySelector("[data-action='cancel']").addEventListener("click", () => runAction(id, "cancel"));
+        detail.querySelector("[data-action='refund']").addEventListener("click", () => {
+            const amount = prompt("Refunded amount (₱):", tx.Amount);
+            if (amount === null) return;
+            const note = prompt("Reason (optional):") || "";
+            runAction(id, "refund", { amount, note });
+        });
+
+        loadJobs();
+    }
+
+    // The page editor's order as uploaded page numbers, e.g. "3, 1 (turned 90°), 1"
+    function describeEdits(edits) {
+        return edits.map(e => e.rotate ? `${e.source} (turned ${e.rotate}°)` : String(e.source)).join(", ");
+    }
+
+    // The per-page lines the customer was quoted
+    function renderQuote(quote) {
+        const items = quote?.breakdown?.items;
+        if (!items?.length) return "";
+        return `
+            <h3>Quote #${quote.id} — ₱${escapeHtml(quote.amount)} (pricing v${escapeHtml(quote.pricingVersion)})</h3>
+            <table class="quote">
+                <thead><tr><th>Page</th><th>Ink %</th><th>Rate</th><th>Base</th><th>Surcharge</th><th>Copies</th><th>Total</th></tr></thead>
+                <tbody>
+                    ${items.map(i => `<tr>${[
+                        i.page, i.coverage, i.chargedAs, i.base, i.surcharge, i.copies, Number(i.total).toFixed(2)
+                    ].map(v => `<td>${escapeHtml(v)}</td>`).join("")}</tr>`).join("")}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async function runAction(id, action, body = {}) {
+        const result = await post(`/admin/api/transactions/${id}/${action}`, body);
+        if (!result.success) alert(result.message || "Action failed.");
+        showJob(id);
+    }
+
+    // =========================
+    // PAPER SIZES
+    // =========================
+    // Every registered size can be filtered on; unticked sizes are not offered on the kiosk
+    async function loadPapers() {
+        const result = await api("/admin/api/papers");
+        if (!result.success) return;
+
+        paperFilter.querySelectorAll("option:not([value=''])").forEach(o => o.remove());
+        papersBox.innerHTML = "";
+        result.papers.forEach(paper => {
+            paperFilter.appendChild(new Option(paper.label, paper.name));
+
+            const label = document.createElement("label");
+            label.className = "paper";
+            label.innerHTML = `<input type="checkbox" ${paper.enabled ? "checked" : ""}> ${escapeHtml(paper.label)}
+                <small>${escapeHtml(paper.width)} × ${escapeHtml(paper.height)} pt</small>`;
+            label.querySelector("input").addEventListener("change", async e => {
+                const update = await api(`/admin/api/papers/${encodeURIComponent(paper.name)}`, {
+                    method: "PUT",
+                    body: JSON.stringify({ enabled: e.target.checked })
+                });
+                if (!update.success) alert(update.message || "Could not change the paper size.");
+                loadPapers();
+            });
+            papersBox.appendChild(label);
+        });
+    }
+
+    // =========================
+    // LOGOUT
+    // =========================
+    logoutBtn.addEventListener("click", async () => {
+        await post("/admin/logout");
+        window.location.href = "/admin/login";
+    });
+
+    loadPapers();
+    loadJobs();
+    loadCodes();
+});
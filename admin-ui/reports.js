@@ -0,0 +1,102 @@
+document.addEventListener("DOMContentLoaded", async () => {
+    // =========================
+    // DOM ELEMENTS
+    // =========================
+    const reportForm = document.getElementById("reportForm");
+    const dateInput = document.getElementById("date");
+    const shiftSelect = document.getElementById("shift");
+    const reportBody = document.querySelector("#report tbody");
+    const reconcileForm = document.getElementById("reconcileForm");
+    const reconcileResult = document.getElementById("reconcileResult");
+
+    dateInput.value = new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD
+
+    function query() {
+        const params = new URLSearchParams({ date: dateInput.value });
+        if (shiftSelect.value) params.set("shift", shiftSelect.value);
+        return params.toString();
+    }
+
+    async function getJson(url, options) {
+        const response = await fetch(url, options);
+        if (response.status === 401) {
+            window.location.href = "/admin/login";
+            return { success: false };
+        }
+        return response.json();
+    }
+
+    // =========================
+    // REPORT
+    // =========================
+    function renderReport(r) {
+        const hour = h => `${String(h).padStart(2, "0")}:00`;
+        const rows = [
+            ["Transactions", r.transactions],
+            ["Completed jobs", r.completedJobs],
+            ["Cancelled jobs", r.cancelledJobs],
+            ["Failed jobs", r.failedJobs],
+            ["Gross revenue", `₱${r.grossRevenue}`],
+            ["Refunds", `₱${r.refunds}`],
+            ["Net revenue", `₱${r.netRevenue}`],
+            ["Expected cash", `₱${r.expectedCash}`],
+            ["Pages printed", r.pagesPrinted],
+            ...Object.entries(r.pagesBySize).map(([key, pages]) => [`Pages ${key}`, pages]),
+            ["Average job size", `${r.averageJobPages} pages / ₱${r.averageJobAmount}`],
+            ["Busiest hours", r.busiestHours.map(h => `${hour(h.hour)} (${h.jobs})`).join(", ") || "—"]
+        ];
+        if (r.reconciliation) {
+            rows.push(["Counted cash", `₱${r.reconciliation.Counted}`]);
+            rows.push(["Difference", `₱${r.reconciliation.Difference}`]);
+        }
+        reportBody.innerHTML = rows.map(([label, value]) => `<tr><td>${label}</td><td><b>${value}</b></td></tr>`).join("");
+    }
+
+    async function loadReport() {
+        document.getElementById("csvLink").href = `/admin/api/reports/daily.csv?${query()}`;
+        document.getElementById("pdfLink").href = `/admin/api/reports/daily.pdf?${query()}`;
+
+        const result = await getJson(`/admin/api/reports/daily?${query()}`);
+        if (!result.success) return alert(result.message || "Could not load report.");
+        renderReport(result.report);
+    }
+
+    reportForm.addEventListener("submit", e => {
+        e.preventDefault();
+        loadReport();
+    });
+
+    // =========================
+    // CASH COUNT
+    // =========================
+    reconcileForm.addEventListener("submit", async e => {
+        e.preventDefault();
+        const result = await getJson("/admin/api/reports/reconcile", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                date: dateInput.value,
+                shift: shiftSelect.value,
+                counted: document.getElementById("counted").value,
+                note: document.getElementById("note").value
+            })
+        });
+        if (!result.success) return alert(result.message || "Could not record the count.");
+
+        const diff = result.report.reconciliation.Difference;
+        reconcileResult.innerText = diff === 0 ? "Cash box matches." : `Difference: ₱${diff} (${diff > 0 ? "over" : "short"})`;
+        renderReport(result.report);
+    });
+
+    // =========================
+    // INITIALIZATION
+    // =========================
+    const shifts = await getJson("/admin/api/reports/shifts");
+    Object.entries(shifts.shifts || {}).forEach(([name, s]) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = `${name} (${s.start}:00–${s.end}:00${s.end > s.start ? "" : " next day"})`;
+        shiftSelect.appendChild(option);
+    });
+    loadReport();
+});
@@ -0,0 +1,363 @@
+// admin.js - operator dashboard (/admin): login, job list, previews, reprints, cancels and refunds
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const db = require('./db');
+const sessions = require('./sessions');
+const transactions = require('./transactions');
+const printer = require('./printer');
+const pricing = require('./pricing');
+const reports = require('./reports');
+const quotes = require('./quotes');
+const papers = require('./papers');
+const parts = require('./parts');
+const items = require('./items');
+const pairing = require('./pairing');
+const grayscale = require('./grayscale');
+
+// ----- Settings -----
+// The operator login is configured on the Pi: ADMIN_USER (default "admin") and ADMIN_PASSWORD.
+// Without ADMIN_PASSWORD the dashboard stays locked.
+const ADMIN_USER = process.env.ADMIN_USER || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_COOKIE = 'piso_admin';
+const ADMIN_SESSION_TTL_MS = (Number(process.env.ADMIN_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+const LOGIN_FAILURE_DELAY_MS = 1000;
+
+const uiDir = path.join(__dirname, 'admin-ui');
+const adminSessions = new Map(); // token -> { user, expires }
+
+const router = express.Router();
+
+// ----- Auth -----
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function checkCredentials(username, password) {
+    if (!ADMIN_PASSWORD) return false;
+    // compare fixed-length digests so timing doesn't reveal the password
+    const userOk = crypto.timingSafeEqual(digest(username), digest(ADMIN_USER));
+    const passOk = crypto.timingSafeEqual(digest(password), digest(ADMIN_PASSWORD));
+    return userOk && passOk;
+}
+
+function currentAdmin(req) {
+    const token = sessions.parseCookies(req.headers.cookie)[ADMIN_COOKIE];
+    const session = token && adminSessions.get(token);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+        adminSessions.delete(token);
+        return null;
+    }
+    return session;
+}
+
+function requireAdmin(req, res, next) {
+    const session = currentAdmin(req);
+    if (session) {
+        req.admin = session;
+        return next();
+    }
+    if (req.path.startsWith('/api/')) return res.status(401).json({ success: false, message: 'Login required.' });
+    return res.redirect('/admin/login');
+}
+
+router.get('/login', (req, res) => res.sendFile(path.join(uiDir, 'login.html')));
+
+router.post('/login', express.json(), async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!ADMIN_PASSWORD) return res.json({ success: false, message: 'Admin login is not configured (set ADMIN_PASSWORD).' });
+    if (!checkCredentials(username || '', password || '')) {
+        await new Promise(resolve => setTimeout(resolve, LOGIN_FAILURE_DELAY_MS));
+        return res.json({ success: false, message: 'Wrong username or password.' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    adminSessions.set(token, { user: ADMIN_USER, expires: Date.now() + ADMIN_SESSION_TTL_MS });
+    res.cookie(ADMIN_COOKIE, token, { httpOnly: true, sameSite: 'strict', path: '/admin', maxAge: ADMIN_SESSION_TTL_MS });
+    res.json({ success: true });
+});
+
+router.post('/logout', (req, res) => {
+    const token = sessions.parseCookies(req.headers.cookie)[ADMIN_COOKIE];
+    if (token) adminSessions.delete(token);
+    res.clearCookie(ADMIN_COOKIE, { path: '/admin' });
+    res.json({ success: true });
+});
+
+// Everything below needs a logged-in operator
+router.use(requireAdmin);
+router.use(express.json());
+router.use(express.static(uiDir));
+
+const actorOf = req => `admin:${req.admin.user}`;
+
+// ----- Transactions -----
+router.get('/api/transactions', (req, res) => {
+    try {
+        const { from, to, status, color, paper } = req.query;
+        const where = [];
+        const params = [];
+        if (from) { where.push(`date(Date, 'localtime') >= ?`); params.push(String(from)); }
+        if (to) { where.push(`date(Date, 'localtime') <= ?`); params.push(String(to)); }
+        if (status) { where.push('Status = ?'); params.push(String(status)); }
+        if (color) { where.push('Color = ?'); params.push(String(color)); }
+        if (paper) { where.push('Paper_Size = ?'); params.push(String(paper)); }
+        const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+
+        const rows = db.prepare(`
+            SELECT Transaction_Id, Date, Amount, Color, Pages, Copies, Paper_Size, Duplex, Status, Print_Stage, Print_Error
+            FROM Transactions
+            ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+            ORDER BY Transaction_Id DESC
+            LIMIT ${limit}
+        `).all(...params);
+        res.json({ success: true, transactions: rows });
+    } catch (err) {
+        console.error('admin transactions error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+function loadTransaction(req, res) {
+    const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(Number(req.params.id));
+    if (!tx) res.json({ success: false, message: 'Transaction not found.' });
+    return tx;
+}
+
+// Preview URLs in print order: document by document, then by page. A best-match-per-page job has its pages
+// in one folder per paper until it is archived, so each part's previews are listed from its own paper.
+function listPreviews(tx) {
+    const previews = [];
+    for (const job of items.jobsOf(tx)) {
+        const jobPreviews = [];
+        for (const { paper, pages } of sessions.jobPapers(job)) {
+            const { previewDir, baseName } = sessions.locateJobFiles(job, paper);
+            let files = [];
+            try {
+                files = fs.readdirSync(previewDir).filter(f => f.startsWith(baseName + '_') && f.endsWith('.png'));
+            } catch (e) {
+                continue; // files already cleaned up
+            }
+            const pageOf = f => Number(f.slice(baseName.length + 1, -4));
+            const params = new URLSearchParams();
+            if (job.Item_No) params.set('item', job.Item_No);
+            if (paper !== job.Paper_Size) params.set('paper', paper);
+            const query = params.size ? `?${params}` : '';
+            files
+                .filter(f => !pages || pages.includes(pageOf(f)))
+                .forEach(f => jobPreviews.push({ page: pageOf(f), src: `/admin/api/transactions/${tx.Transaction_Id}/previews/${encodeURIComponent(f)}${query}` }));
+        }
+        previews.push(...jobPreviews.sort((a, b) => a.page - b.page).map(p => p.src));
+    }
+    return previews;
+}
+
+router.get('/api/transactions/:id', (req, res) => {
+    try {
+        const tx = loadTransaction(req, res);
+        if (!tx) return;
+        const payments = db.prepare('SELECT Amount, Source, Created_At FROM Payments WHERE Transaction_Id = ? ORDER BY Payment_Id').all(tx.Transaction_Id);
+        res.json({
+            success: true,
+            transaction: tx,
+            events: transactions.getEvents(tx.Transaction_Id),
+            payments,
+            quote: quotes.latestQuote(tx.Transaction_Id),
+            parts: parts.list(tx.Transaction_Id),
+            items: items.list(tx.Transaction_Id),
+            previews: listPreviews(tx)
+        });
+    } catch (err) {
+        console.error('admin transaction error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+router.get('/api/transactions/:id/previews/:file', (req, res) => {
+    const row = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(Number(req.params.id));
+    if (!row) return res.status(404).end();
+    // ?item= picks the document of a cart order
+    const tx = req.query.item ? items.jobsOf(row).find(job => job.Item_No === Number(req.query.item)) : row;
+    if (!tx) return res.status(404).end();
+    const paper = req.query.paper ? papers.get(req.query.paper) : null;
+    if (req.query.paper && !paper) return res.status(404).end();
+    const { previewDir, baseName } = sessions.locateJobFiles(tx, paper ? paper.name : tx.Paper_Size);
+    const file = path.basename(req.params.file);
+    if (!file.startsWith(baseName + '_') || !file.endsWith('.png')) return res.status(404).end();
+    // a B&W job shows what was printed: the preview of its grayscale PDF, when there is one
+    const gray = path.join(grayscale.previewDirFor(previewDir), file);
+    res.sendFile(tx.Color === 'bw' && fs.existsSync(gray) ? gray : path.join(previewDir, file), err => { if (err && !res.headersSent) res.status(404).end(); });
+});
+
+// Reprint a completed job, or retry a failed one
+router.post('/api/transactions/:id/reprint', (req, res) => {
+    try {
+        const tx = loadTransaction(req, res);
+        if (!tx) return;
+        if (!['completed', 'failed'].includes(tx.Status)) {
+            return res.json({ success: false, message: 'Only completed or failed jobs can be reprinted.' });
+        }
+        const missing = items.jobsOf(tx).some(job =>
+            sessions.jobPapers(job).some(({ paper }) => !fs.existsSync(sessions.locateJobFiles(job, paper).pdfPath)));
+        if (missing) {
+            return res.json({ success: false, message: 'The files for this job are no longer available.' });
+        }
+
+        db.transaction(() => {
+            transactions.transition(tx.Transaction_Id, 'printing', { actor: actorOf(req), note: 'Reprint' });
+            db.prepare('UPDATE Transactions SET Spool_Job_Id = NULL, Print_Attempts = 0, Print_Error = NULL, Print_Stage = NULL WHERE Transaction_Id = ?').run(tx.Transaction_Id);
+            parts.resetPrinting(tx.Transaction_Id);
+            items.resetPrinting(tx.Transaction_Id);
+        })();
+        printer.enqueue(tx.Transaction_Id);
+        res.json({ success: true });
+    } catch (err) {
+        if (err instanceof transactions.TransitionError) return res.json({ success: false, message: err.message });
+        console.error('admin reprint error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Cancel a job stuck in "printing"
+router.post('/api/transactions/:id/cancel', async (req, res) => {
+    try {
+        const tx = loadTransaction(req, res);
+        if (!tx) return;
+        if (tx.Status !== 'printing') return res.json({ success: false, message: 'Only printing jobs can be cancelled here.' });
+
+        transactions.transition(tx.Transaction_Id, 'cancelled', { actor: actorOf(req), note: req.body.note || 'Cancelled by operator' });
+        await printer.cancel(tx.Transaction_Id);
+        res.json({ success: true });
+    } catch (err) {
+        if (err instanceof transactions.TransitionError) return res.json({ success: false, message: err.message });
+        console.error('admin cancel error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Manual duplex: the front sides are out and the stack is back in the tray, print the back sides
+router.post('/api/transactions/:id/flipped', (req, res) => {
+    try {
+        const tx = loadTransaction(req, res);
+        if (!tx) return;
+        printer.continueDuplex(tx.Transaction_Id);
+        transactions.recordEvent(tx.Transaction_Id, 'printing', 'printing', { actor: actorOf(req), note: 'Paper flipped' });
+        res.json({ success: true });
+    } catch (err) {
+        if (err instanceof printer.PrintError) return res.json({ success: false, message: err.message });
+        console.error('admin flip error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Record money handed back to the customer
+router.post('/api/transactions/:id/refund', (req, res) => {
+    try {
+        const tx = loadTransaction(req, res);
+        if (!tx) return;
+        const amount = Number(req.body.amount);
+        if (isNaN(amount) || amount <= 0) return res.json({ success: false, message: 'Enter the refunded amount.' });
+
+        const paid = db.prepare('SELECT COALESCE(SUM(Amount), 0) AS total FROM Payments WHERE Transaction_Id = ?').get(tx.Transaction_Id).total;
+        if (amount > paid) return res.json({ success: false, message: `Refund exceeds the ₱${paid} received.` });
+
+        db.transaction(() => {
+            transactions.transition(tx.Transaction_Id, 'refunded', { actor: actorOf(req), amount, note: req.body.note || null });
+            db.prepare('INSERT INTO Payments (Transaction_Id, Amount, Source, Created_At) VALUES (?, ?, ?, ?)')
+                .run(tx.Transaction_Id, -amount, 'refund', new Date().toISOString());
+        })();
+        res.json({ success: true });
+    } catch (err) {
+        if (err instanceof transactions.TransitionError) return res.json({ success: false, message: err.message });
+        console.error('admin refund error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// ----- Pricing -----
+router.put('/api/pricing', (req, res) => {
+    try {
+        const version = pricing.updateRules(req.body, req.body.note || `Edited by ${req.admin.user}`);
+        res.json({ success: true, version });
+    } catch (err) {
+        console.error('admin pricing error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// ----- Job codes -----
+// Jobs set up on a phone and not yet picked up at the kiosk
+router.get('/api/job-codes', (req, res) => {
+    res.json({ success: true, codes: pairing.unclaimed() });
+});
+
+// ----- Paper sizes -----
+router.get('/api/papers', (req, res) => {
+    res.json({ success: true, papers: papers.list() });
+});
+
+// { enabled: true | false }: offer a size on the kiosk or not
+router.put('/api/papers/:name', (req, res) => {
+    try {
+        const paper = papers.setEnabled(req.params.name, req.body.enabled === true || req.body.enabled === 'true');
+        res.json({ success: true, paper });
+    } catch (err) {
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// ----- Reports -----
+function reportQuery(req) {
+    const date = String(req.query.date || new Date().toLocaleDateString('en-CA')); // en-CA = YYYY-MM-DD
+    const shift = req.query.shift ? String(req.query.shift) : null;
+    return { date, shift };
+}
+
+router.get('/api/reports/shifts', (req, res) => {
+    res.json({ success: true, shifts: reports.SHIFTS });
+});
+
+router.get('/api/reports/daily', (req, res) => {
+    try {
+        const { date, shift } = reportQuery(req);
+        res.json({ success: true, report: reports.buildReport(date, shift) });
+    } catch (err) {
+        res.json({ success: false, message: err.message });
+    }
+});
+
+router.get('/api/reports/daily.csv', (req, res) => {
+    try {
+        const { date, shift } = reportQuery(req);
+        res.attachment(`report-${date}${shift ? '-' + shift : ''}.csv`);
+        res.type('text/csv').send(reports.toCsv(reports.buildReport(date, shift)));
+    } catch (err) {
+        res.status(400).send(err.message);
+    }
+});
+
+router.get('/api/reports/daily.pdf', async (req, res) => {
+    try {
+        const { date, shift } = reportQuery(req);
+        const bytes = await reports.toPdf(reports.buildReport(date, shift));
+        res.attachment(`report-${date}${shift ? '-' + shift : ''}.pdf`);
+        res.type('application/pdf').send(Buffer.from(bytes));
+    } catch (err) {
+        res.status(400).send(err.message);
+    }
+});
+
+router.post('/api/reports/reconcile', (req, res) => {
+    try {
+        const { date, shift, counted, note } = req.body;
+        const report = reports.reconcile(String(date), shift || null, counted, actorOf(req), note || null);
+        res.json({ success: true, report });
+    } catch (err) {
+        res.json({ success: false, message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+// converters.js - input conversion in front of /upload: images and Office documents become a PDF
+const path = require('path');
+const fsPromise = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+const execFilePromise = promisify(execFile);
+
+// ----- Settings -----
+const SOFFICE_COMMAND = process.env.SOFFICE_COMMAND || 'soffice';
+const SOFFICE_TIMEOUT_MS = Number(process.env.SOFFICE_TIMEOUT_MS) || 120000;
+const MAX_IMAGES = 20;
+const MAX_IMAGE_PIXELS = 2000; // longest side after downscaling; plenty for print, light on the Pi
+
+// Images are laid out on letter pages; the normal resize step then fits them to the chosen paper
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const PAGE_MARGIN = 18;
+const CELL_GAP = 12;
+
+const IMAGE_TYPES = {
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png']
+};
+const OFFICE_TYPES = {
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx']
+};
+const IMAGE_LAYOUTS = { 1: [1, 1], 2: [1, 2], 4: [2, 2] }; // images per page -> [columns, rows]
+const IMAGE_FITS = ['fit', 'fill'];
+
+class ConversionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConversionError';
+    }
+}
+
+// 'pdf' | 'image' | 'office' | null, from the mimetype or (phones often send octet-stream) the extension
+function classify(file) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (file.mimetype === 'application/pdf' || ext === '.pdf') return 'pdf';
+    if (IMAGE_TYPES[file.mimetype] || Object.values(IMAGE_TYPES).flat().includes(ext)) return 'image';
+    if (OFFICE_TYPES[file.mimetype] || Object.values(OFFICE_TYPES).flat().includes(ext)) return 'office';
+    return null;
+}
+
+// ----- Images -----
+// Lay images onto pages, perPage at a time, either fitted whole (fit) or cropped to fill their cell (fill)
+async function imagesToPdf(imagePaths, outputPath, { fit = 'fit', perPage = 1 } = {}) {
+    if (!IMAGE_FITS.includes(fit)) throw new ConversionError(`Unknown image fit "${fit}".`);
+    const layout = IMAGE_LAYOUTS[perPage];
+    if (!layout) throw new ConversionError('Images per page must be 1, 2 or 4.');
+    if (imagePaths.length > MAX_IMAGES) throw new ConversionError(`At most ${MAX_IMAGES} images per upload.`);
+
+    const [cols, rows] = layout;
+    const cellW = (PAGE_WIDTH - 2 * PAGE_MARGIN - (cols - 1) * CELL_GAP) / cols;
+    const cellH = (PAGE_HEIGHT - 2 * PAGE_MARGIN - (rows - 1) * CELL_GAP) / rows;
+
+    const pdfDoc = await PDFDocument.create();
+    let page;
+    // process sequentially to avoid memory spike on Pi
+    for (let i = 0; i < imagePaths.length; i++) {
+        let img = sharp(imagePaths[i]).rotate(); // honour phone EXIF orientation
+        if (fit === 'fill') {
+            img = img.resize(Math.round(cellW * 3), Math.round(cellH * 3), { fit: 'cover' });
+        } else {
+            img = img.resize(MAX_IMAGE_PIXELS, MAX_IMAGE_PIXELS, { fit: 'inside', withoutEnlargement: true });
+        }
+
+        let jpg;
+        try {
+            jpg = await img.flatten({ background: '#ffffff' }).jpeg({ quality: 85 }).toBuffer();
+        } catch (e) {
+            throw new ConversionError(`Could not read image ${path.basename(imagePaths[i])}: ${e.message}`);
+        }
+        const embedded = await pdfDoc.embedJpg(jpg);
+
+        const slot = i % perPage;
+        if (slot === 0) page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        const col = slot % cols;
+        const row = Math.floor(slot / cols);
+        const cellX = PAGE_MARGIN + col * (cellW + CELL_GAP);
+        const cellTop = PAGE_HEIGHT - PAGE_MARGIN - row * (cellH + CELL_GAP);
+
+        // fill images were already cropped to the cell's shape, so both modes just scale into the cell
+        const scale = Math.min(cellW / embedded.width, cellH / embedded.height);
+        const w = embedded.width * scale;
+        const h = embedded.height * scale;
+        page.drawImage(embedded, {
+            x: cellX + (cellW - w) / 2,
+            y: cellTop - cellH + (cellH - h) / 2,
+            width: w,
+            height: h
+        });
+    }
+
+    await fsPromise.writeFile(outputPath, await pdfDoc.save());
+    return outputPath;
+}
+
+// ----- Office documents -----
+// Headless LibreOffice writes <name>.pdf into outDir; we move it to outputPath
+async function officeToPdf(inputPath, outputPath) {
+    const outDir = path.dirname(outputPath);
+    try {
+        await execFilePromise(SOFFICE_COMMAND, ['--headless', '--convert-to', 'pdf', '--outdir', outDir, inputPath], {
+            timeout: SOFFICE_TIMEOUT_MS,
+            killSignal: 'SIGKILL'
+        });
+    } catch (e) {
+        if (e.code === 'ENOENT') throw new ConversionError('Office documents are not supported on this kiosk (LibreOffice is not installed).');
+        if (e.killed) throw new ConversionError('Converting the document took too long.');
+        throw new ConversionError('Could not convert the document: ' + (e.stderr || e.message).trim());
+    }
+
+    const produced = path.join(outDir, path.parse(inputPath).name + '.pdf');
+    try {
+        await fsPromise.rename(produced, outputPath);
+    } catch (e) {
+        throw new ConversionError('LibreOffice did not produce a PDF for this document.');
+    }
+    return outputPath;
+}
+
+// ----- Entry point -----
+// files: multer file objects already on disk. Returns the path of a single PDF for the rest of /upload.
+async function toPdf(files, outputPath, options = {}) {
+    const kinds = files.map(classify);
+    if (kinds.includes(null)) throw new ConversionError('Unsupported file type. Upload a PDF, JPG/PNG image or DOCX/XLSX/PPTX file.');
+
+    if (kinds.every(k => k === 'image')) {
+        return imagesToPdf(files.map(f => f.path), outputPath, options);
+    }
+    if (files.length > 1) throw new ConversionError('Only images can be uploaded several at a time.');
+    if (kinds[0] === 'office') return officeToPdf(files[0].path, outputPath);
+    return files[0].path; // already a PDF
+}
+
+module.exports = { toPdf, classify, imagesToPdf, officeToPdf, ConversionError, IMAGE_LAYOUTS, IMAGE_FITS };
@@ -0,0 +1,60 @@
+// coverage.js - ink coverage per rendered page, split into black and color, for /calculate-cost
+//
+// Each pixel of the preview PNG is turned into an approximate CMYK value
+// (K = 1 - max(R, G, B), C/M/Y = what is left after taking out K). Averaging over the page gives
+//   blackCoverage  - share of the page covered by black ink (0-100)
+//   colorCoverage  - share covered by color ink, counting a pixel by its strongest of C, M or Y (0-100)
+//   coverage       - total ink: a pixel counts by its darkest channel (0-100)
+// A page whose colored pixels stay below GRAYSCALE_MAX_COLOR_PIXELS is reported as grayscale,
+// so a color job can charge it at the B&W rate.
+const sharp = require('sharp');
+
+// ----- Settings -----
+const ANALYSIS_WIDTH = 400; // downscale first: plenty for a percentage, light on the Pi
+const CHROMA_THRESHOLD = 24; // max(R,G,B) - min(R,G,B) above this is a colored pixel (below is gray / JPEG noise)
+const GRAYSCALE_MAX_COLOR_PIXELS = Number(process.env.GRAYSCALE_MAX_COLOR_PERCENT || 0.1) / 100;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Analyze one rendered page. Returns { coverage, blackCoverage, colorCoverage, colorPixels, grayscale }.
+async function analyzePage(filePath) {
+    const { data, info } = await sharp(filePath)
+        .flatten({ background: '#ffffff' }) // transparent = blank paper
+        .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const channels = info.channels;
+    const pixels = info.width * info.height;
+    let total = 0;
+    let black = 0;
+    let color = 0;
+    let colored = 0;
+
+    for (let i = 0; i < data.length; i += channels) {
+        const r = data[i];
+        const g = channels >= 3 ? data[i + 1] : r;
+        const b = channels >= 3 ? data[i + 2] : r;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+
+        const k = 1 - max / 255;
+        black += k;
+        total += 1 - min / 255;
+        // strongest of C, M, Y once the black component is taken out
+        color += (max - min) / 255;
+        if (max - min > CHROMA_THRESHOLD) colored++;
+    }
+
+    const colorPixels = pixels ? colored / pixels : 0;
+    return {
+        coverage: pixels ? round2(total / pixels * 100) : 0,
+        blackCoverage: pixels ? round2(black / pixels * 100) : 0,
+        colorCoverage: pixels ? round2(color / pixels * 100) : 0,
+        colorPixels: round2(colorPixels * 100),
+        grayscale: colorPixels <= GRAYSCALE_MAX_COLOR_PIXELS
+    };
+}
+
+module.exports = { analyzePage };
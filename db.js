@@ -21,6 +21,204 @@ db.prepare(`
     )
 `).run();
 
+// Add a column to an existing table if it is missing (lightweight migration for databases already on the Pi)
+function ensureColumn(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    }
+}
+
+// Print dispatch bookkeeping (see printer.js)
+ensureColumn('Transactions', 'Spool_Job_Id', 'TEXT');
+ensureColumn('Transactions', 'Print_Attempts', 'INTEGER'); // NULL = never dispatched (rows older than printer.js)
+ensureColumn('Transactions', 'Print_Error', 'TEXT');
+
+// Session workspace that holds the transaction's files (see sessions.js)
+ensureColumn('Transactions', 'Session_Id', 'TEXT');
+
+// Page layout the print PDF was rendered with (see layout.js)
+ensureColumn('Transactions', 'Scaling', 'TEXT');
+ensureColumn('Transactions', 'Margin_Mm', 'REAL');
+ensureColumn('Transactions', 'Auto_Rotate', 'INTEGER');
+ensureColumn('Transactions', 'Pages_Per_Sheet', 'TEXT'); // '1', '2', '4', '6', '9' or 'booklet'
+ensureColumn('Transactions', 'Page_Edits', 'TEXT'); // JSON page order + rotation from the page editor (see pageedits.js), NULL = as uploaded
+
+// Double-sided printing: 'off', 'long-edge', 'short-edge' or 'manual' (operator flips the stack, see printer.js)
+ensureColumn('Transactions', 'Duplex', 'TEXT');
+ensureColumn('Transactions', 'Print_Stage', 'TEXT'); // manual duplex: NULL/'front', 'flip' (waiting), 'back'
+
+// Job code a phone customer types at the kiosk to pick up an unpaid transaction (see pairing.js)
+ensureColumn('Transactions', 'Job_Code', 'TEXT');
+ensureColumn('Transactions', 'Job_Code_Expires_At', 'TEXT');
+ensureColumn('Transactions', 'Job_Code_Claimed_At', 'TEXT');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_transactions_job_code ON Transactions (Job_Code)').run();
+
+// Per-paper sub-jobs of a "best match per page" transaction (Paper_Size 'auto', see parts.js)
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS TransactionParts (
+        Part_Id INTEGER PRIMARY KEY AUTOINCREMENT,
+        Transaction_Id INTEGER NOT NULL,
+        Part_No INTEGER NOT NULL,
+        Paper_Size TEXT NOT NULL,
+        Pages TEXT NOT NULL,
+        Amount REAL,
+        Status TEXT NOT NULL,
+        Spool_Job_Id TEXT
+    )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_transaction_parts_tx ON TransactionParts (Transaction_Id)').run();
+ensureColumn('TransactionParts', 'Item_Id', 'INTEGER'); // the cart document split into these parts, NULL = the whole transaction
+
+// Documents of a cart order, printed in Item_No order (see items.js). Transactions from before the cart have none.
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS TransactionItems (
+        Item_Id INTEGER PRIMARY KEY AUTOINCREMENT,
+        Transaction_Id INTEGER NOT NULL,
+        Item_No INTEGER NOT NULL,
+        File_Path TEXT NOT NULL,
+        File_Size TEXT,
+        Color TEXT NOT NULL,
+        Pages TEXT NOT NULL,
+        Copies INTEGER NOT NULL,
+        Paper_Size TEXT NOT NULL,
+        Duplex TEXT NOT NULL,
+        Scaling TEXT,
+        Margin_Mm REAL,
+        Auto_Rotate INTEGER,
+        Pages_Per_Sheet TEXT,
+        Page_Edits TEXT,
+        Amount REAL,
+        Status TEXT NOT NULL,
+        Spool_Job_Id TEXT
+    )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_transaction_items_tx ON TransactionItems (Transaction_Id)').run();
+
+// Status history / audit log (see transactions.js)
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS TransactionEvents (
+        Event_Id INTEGER PRIMARY KEY AUTOINCREMENT,
+        Transaction_Id INTEGER NOT NULL,
+        Created_At TEXT NOT NULL,
+        Old_Status TEXT,
+        New_Status TEXT NOT NULL,
+        Amount REAL,
+        Actor TEXT,
+        Note TEXT
+    )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_transaction_events_tx ON TransactionEvents (Transaction_Id)').run();
+
+// Money received per transaction (coin/bill acceptor credits, see payment.js)
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS Payments (
+        Payment_Id INTEGER PRIMARY KEY AUTOINCREMENT,
+        Transaction_Id INTEGER NOT NULL,
+        Amount REAL NOT NULL,
+        Source TEXT,
+        Created_At TEXT NOT NULL
+    )
+`).run();
+
+// Server-side price quotes (see quotes.js). A transaction is only charged its latest valid quote.
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS Quotes (
+        Quote_Id INTEGER PRIMARY KEY AUTOINCREMENT,
+        Transaction_Id INTEGER NOT NULL,
+        Pages TEXT NOT NULL,
+        Copies INTEGER NOT NULL,
+        Color TEXT NOT NULL,
+        Paper_Size TEXT NOT NULL,
+        Amount REAL NOT NULL,
+        Breakdown TEXT,
+        Pricing_Version INTEGER,
+        Created_At TEXT NOT NULL,
+        Expires_At TEXT NOT NULL
+    )
+`).run();
+
+// Paper sizes the kiosk offers (see papers.js)
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS PaperSizes (
+        Paper_Size TEXT PRIMARY KEY,
+        Label TEXT NOT NULL,
+        Width_Pt REAL NOT NULL,
+        Height_Pt REAL NOT NULL,
+        Media TEXT,
+        Enabled INTEGER NOT NULL DEFAULT 1,
+        Default_Bw_Price REAL NOT NULL,
+        Default_Color_Price REAL NOT NULL,
+        Sort_Order INTEGER NOT NULL DEFAULT 0
+    )
+`).run();
+
+// Pricing engine tables (see pricing.js). Every edit of the rules creates a new version.
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS PricingVersions (
+        Version INTEGER PRIMARY KEY AUTOINCREMENT,
+        Created_At TEXT NOT NULL,
+        Note TEXT
+    )
+`).run();
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS PricingRules (
+        Paper_Size TEXT NOT NULL,
+        Color TEXT NOT NULL,
+        Base_Price REAL NOT NULL,
+        PRIMARY KEY (Paper_Size, Color)
+    )
+`).run();
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS PricingSurcharges (
+        Paper_Size TEXT NOT NULL,
+        Color TEXT NOT NULL,
+        Min_Coverage REAL NOT NULL,
+        Surcharge REAL NOT NULL
+    )
+`).run();
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS PricingTiers (
+        Paper_Size TEXT NOT NULL,
+        Color TEXT NOT NULL,
+        Min_Pages INTEGER NOT NULL,
+        Base_Price REAL NOT NULL
+    )
+`).run();
+ensureColumn('PricingRules', 'Duplex_Price', 'REAL'); // per double-sided sheet; NULL = two single-sided sheets
+ensureColumn('Quotes', 'Duplex', 'TEXT');
+
+// End-of-day cash box counts (see reports.js)
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS CashCounts (
+        Count_Id INTEGER PRIMARY KEY AUTOINCREMENT,
+        Report_Date TEXT NOT NULL,
+        Shift TEXT,
+        Counted REAL NOT NULL,
+        Expected REAL NOT NULL,
+        Difference REAL NOT NULL,
+        Actor TEXT,
+        Note TEXT,
+        Created_At TEXT NOT NULL
+    )
+`).run();
+
+// Content-addressed render cache (see rendercache.js); the files live in cache/store/<Cache_Key>/
+db.prepare(`
+    CREATE TABLE IF NOT EXISTS RenderCache (
+        Cache_Key TEXT PRIMARY KEY,
+        Fingerprint TEXT NOT NULL,
+        Layout TEXT NOT NULL,
+        Sides INTEGER NOT NULL,
+        Bytes INTEGER NOT NULL,
+        Hits INTEGER NOT NULL DEFAULT 0,
+        Created_At TEXT NOT NULL,
+        Last_Used_At TEXT NOT NULL
+    )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_render_cache_fingerprint ON RenderCache (Fingerprint)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_render_cache_used ON RenderCache (Last_Used_At)').run();
+
 // Set database performance settings (pragmas)
 db.pragma('journal_mode = WAL');
 db.pragma('busy_timeout = 3000');
@@ -0,0 +1,51 @@
+// grayscale.js - black & white as a real document transform
+//
+// A B&W job prints from <base>_<paper>_gray.pdf, the laid-out PDF converted to gray by Ghostscript,
+// and is priced from previews rendered from that PDF into <preview folder>/gray/. The color PDF and previews
+// are never touched, so a customer can switch between color and B&W freely.
+// Variants are made on demand and made again whenever the file they came from is newer.
+const path = require('path');
+const fsPromise = require('fs').promises;
+const renderer = require('./renderer');
+
+const GRAY_DIR = 'gray';
+
+const pdfPathFor = pdfPath => pdfPath.replace(/\.pdf$/, '_gray.pdf');
+const previewDirFor = previewDir => path.join(previewDir, GRAY_DIR);
+
+// A variant is current when it is at least as new as the file it was made from
+async function isCurrent(variant, original) {
+    const [v, o] = await Promise.all([variant, original].map(f => fsPromise.stat(f).catch(() => null)));
+    return !!(v && o && v.mtimeMs >= o.mtimeMs);
+}
+
+// One conversion per file at a time: a cost check and a print can ask for the same PDF together
+const converting = new Map(); // gray pdf path -> promise
+
+// The grayscale print PDF for a laid-out PDF, converting it when missing or out of date. Returns its path.
+async function ensurePdf(pdfPath) {
+    const gray = pdfPathFor(pdfPath);
+    if (!converting.has(gray)) {
+        const work = (async () => {
+            if (!await isCurrent(gray, pdfPath)) await renderer.convertToGrayscale(pdfPath, gray);
+            return gray;
+        })();
+        converting.set(gray, work);
+        work.finally(() => converting.delete(gray)).catch(() => {});
+    }
+    return converting.get(gray);
+}
+
+// The grayscale preview of printed page n, rendered from the grayscale PDF. Returns its path.
+async function ensurePreview(pdfPath, previewDir, baseName, page) {
+    const gray = await ensurePdf(pdfPath);
+    const dir = previewDirFor(previewDir);
+    const out = path.join(dir, `${baseName}_${page}.png`);
+    if (!await isCurrent(out, gray)) {
+        await fsPromise.mkdir(dir, { recursive: true });
+        await renderer.renderPage(gray, out, page, { gray: true });
+    }
+    return out;
+}
+
+module.exports = { pdfPathFor, previewDirFor, ensurePdf, ensurePreview };
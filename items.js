@@ -0,0 +1,72 @@
+// items.js - cart orders: one transaction, several documents, each with its own print settings
+//
+// Every document of an order is a row in TransactionItems. The Transactions row keeps the first document's
+// settings so listings, filters and reports of single-document jobs read as before.
+// Printing, pricing and archiving work on "jobs": a transaction row with one document's settings laid over it
+// (see jobsOf), so code written for one document per transaction handles each item unchanged.
+const db = require('./db');
+
+// Per-document settings an item overrides on its transaction
+const DOCUMENT_FIELDS = [
+    'File_Path', 'File_Size', 'Color', 'Pages', 'Copies', 'Paper_Size', 'Duplex',
+    'Scaling', 'Margin_Mm', 'Auto_Rotate', 'Pages_Per_Sheet', 'Page_Edits'
+];
+const MAX_ITEMS = Number(process.env.CART_MAX_ITEMS) || 10;
+
+const toItem = row => ({
+    id: row.Item_Id,
+    itemNo: row.Item_No,
+    file: row.File_Path,
+    color: row.Color,
+    pages: row.Pages,
+    copies: row.Copies,
+    paper: row.Paper_Size,
+    duplex: row.Duplex,
+    amount: row.Amount,
+    status: row.Status, // pending | printed
+    spoolJobId: row.Spool_Job_Id
+});
+
+const rows = transactionId => db.prepare('SELECT * FROM TransactionItems WHERE Transaction_Id = ? ORDER BY Item_No').all(transactionId);
+
+function list(transactionId) {
+    return rows(transactionId).map(toItem);
+}
+
+// The print jobs of a transaction in order, each shaped like a Transactions row plus Item_Id, Item_No and
+// Item_Status. A transaction from before the cart is its own single job.
+function jobsOf(tx) {
+    const items = rows(tx.Transaction_Id);
+    if (!items.length) return [tx];
+    return items.map(item => {
+        const job = { ...tx, Item_Id: item.Item_Id, Item_No: item.Item_No, Item_Status: item.Status };
+        DOCUMENT_FIELDS.forEach(field => { job[field] = item[field]; });
+        return job;
+    });
+}
+
+// Add the documents of a new order (call inside the transaction that creates it). Returns their Item_Ids.
+function save(transactionId, documents) {
+    const insert = db.prepare(`
+        INSERT INTO TransactionItems (Transaction_Id, Item_No, ${DOCUMENT_FIELDS.join(', ')}, Status)
+        VALUES (?, ?, ${DOCUMENT_FIELDS.map(() => '?').join(', ')}, 'pending')
+    `);
+    return documents.map((doc, i) =>
+        insert.run(transactionId, i + 1, ...DOCUMENT_FIELDS.map(field => doc[field] ?? null)).lastInsertRowid);
+}
+
+// Record a document's share of the order's quote
+function setAmount(itemId, amount) {
+    db.prepare('UPDATE TransactionItems SET Amount = ? WHERE Item_Id = ?').run(amount, itemId);
+}
+
+function markPrinted(itemId, spoolJobId) {
+    db.prepare(`UPDATE TransactionItems SET Status = 'printed', Spool_Job_Id = ? WHERE Item_Id = ?`).run(spoolJobId, itemId);
+}
+
+// A new print run (first print or reprint) prints every document again
+function resetPrinting(transactionId) {
+    db.prepare(`UPDATE TransactionItems SET Status = 'pending', Spool_Job_Id = NULL WHERE Transaction_Id = ?`).run(transactionId);
+}
+
+module.exports = { list, jobsOf, save, setAmount, markPrinted, resetPrinting, MAX_ITEMS };
@@ -0,0 +1,133 @@
+// jobs.js - background document conversion so /upload can answer at once
+//
+// A job runs a work function and records its progress; the browser follows it over
+// GET /jobs/:id/events (Server-Sent Events) or polls GET /jobs/:id.
+// Jobs run one at a time; inside a job, page renders share a small pool of Ghostscript slots.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ----- Settings -----
+const RENDER_CONCURRENCY = Math.max(1, Number(process.env.RENDER_CONCURRENCY) || 2); // Ghostscript processes at once
+const JOB_CONCURRENCY = 1;
+const FINISHED_JOB_TTL_MS = 10 * 60 * 1000; // keep results around for late pollers
+
+const jobs = new Map(); // id -> job
+const waiting = [];
+let activeJobs = 0;
+
+// ----- Render slots -----
+let activeRenders = 0;
+const renderWaiters = [];
+
+// Run fn once a render slot is free (bounds concurrent Ghostscript processes across all jobs)
+async function withRenderSlot(fn) {
+    if (activeRenders >= RENDER_CONCURRENCY) await new Promise(resolve => renderWaiters.push(resolve));
+    activeRenders++;
+    try {
+        return await fn();
+    } finally {
+        activeRenders--;
+        const next = renderWaiters.shift();
+        if (next) next();
+    }
+}
+
+// ----- Jobs -----
+// What the browser sees of a job
+function snapshot(job) {
+    return {
+        id: job.id,
+        status: job.status, // queued | running | done | failed
+        stage: job.stage,
+        paper: job.paper,
+        rendered: job.rendered,
+        total: job.total,
+        images: job.images,
+        result: job.result,
+        error: job.error
+    };
+}
+
+function emit(job, event, data) {
+    job.events.emit('update', event, data);
+}
+
+// Progress reporting handed to the work function
+function reporter(job) {
+    return {
+        // a new step, e.g. ('render', 'letter', 12)
+        stage(stage, paper = null, total = 0) {
+            Object.assign(job, { stage, paper, total, rendered: 0 });
+            emit(job, 'progress', snapshot(job));
+        },
+        // one page image is ready
+        page(paper, page, url) {
+            (job.images[paper] = job.images[paper] || [])[page - 1] = url;
+            job.rendered++;
+            emit(job, 'page', { paper, page, url, rendered: job.rendered, total: job.total });
+        }
+    };
+}
+
+async function run(job) {
+    job.status = 'running';
+    emit(job, 'progress', snapshot(job));
+    try {
+        job.result = await job.work(reporter(job));
+        job.status = 'done';
+        emit(job, 'done', job.result);
+    } catch (e) {
+        job.status = 'failed';
+        job.error = { message: (e && e.message) || 'Conversion failed', code: (e && e.code) || null };
+        emit(job, 'failed', job.error);
+    }
+    job.events.removeAllListeners();
+    setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+}
+
+function pump() {
+    while (activeJobs < JOB_CONCURRENCY && waiting.length) {
+        const job = waiting.shift();
+        activeJobs++;
+        run(job).finally(() => {
+            activeJobs--;
+            pump();
+        });
+    }
+}
+
+// Queue work(report) for a session; returns the job
+function create(sessionId, work) {
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        sessionId,
+        status: 'queued',
+        stage: null,
+        paper: null,
+        rendered: 0,
+        total: 0,
+        images: {},
+        result: null,
+        error: null,
+        work,
+        events: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    pump();
+    return job;
+}
+
+// A session can only see its own jobs
+function get(id, sessionId) {
+    const job = jobs.get(String(id));
+    return job && job.sessionId === sessionId ? job : null;
+}
+
+// Call listener(event, data) for every update until the job ends; returns an unsubscribe function
+function subscribe(job, listener) {
+    job.events.on('update', listener);
+    return () => job.events.off('update', listener);
+}
+
+module.exports = { create, get, snapshot, subscribe, withRenderSlot };
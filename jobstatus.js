@@ -0,0 +1,93 @@
+// jobstatus.js - what the customer sees after pressing Print: the live job state behind /status/:id and the receipt
+//
+// The status page listens to transaction status changes (transactions.js) and the printer's queue and
+// page progress (printer.js); each of them sends a fresh snapshot(). Pages advance per spooler job, see printer.js.
+const db = require('./db');
+const printer = require('./printer');
+const items = require('./items');
+const parts = require('./parts');
+const quotes = require('./quotes');
+const transactions = require('./transactions');
+
+// ----- Live state -----
+// state is one of: unpaid, queued, printing, flip (waiting for the attendant), completed, failed, cancelled, refunded
+function snapshot(transactionId) {
+    const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(Number(transactionId));
+    if (!tx) return null;
+
+    const ahead = printer.jobsAhead(tx.Transaction_Id);
+    const progress = printer.getProgress(tx.Transaction_Id);
+    const total = progress ? progress.total : printer.totalPages(tx);
+
+    let state = tx.Status;
+    if (['pending', 'quoted'].includes(tx.Status)) state = 'unpaid';
+    if (tx.Status === 'paid') state = 'queued';
+    if (tx.Status === 'printing') {
+        if (tx.Print_Stage === 'flip') state = 'flip';
+        else state = progress && !ahead ? 'printing' : 'queued';
+    }
+
+    return {
+        id: tx.Transaction_Id,
+        state,
+        jobsAhead: ahead || 0,
+        printed: tx.Status === 'completed' ? total : (progress ? progress.printed : 0),
+        total,
+        manualDuplex: items.jobsOf(tx).some(job => job.Duplex === 'manual'),
+        // why it stopped, or the spooler error it is retrying after
+        error: ['failed', 'printing'].includes(tx.Status) ? tx.Print_Error : null
+    };
+}
+
+// Call send(snapshot) whenever the transaction's state may have changed. Returns the function that stops it.
+function watch(transactionId, send) {
+    const id = Number(transactionId);
+    const update = () => send(snapshot(id));
+    const onChange = e => { if (e.transactionId === id) update(); };
+    transactions.events.on('change', onChange);
+    printer.events.on('progress', onChange);
+    printer.events.on('queue', update); // jobs ahead of this one may have finished
+    update();
+    return () => {
+        transactions.events.off('change', onChange);
+        printer.events.off('progress', onChange);
+        printer.events.off('queue', update);
+    };
+}
+
+// ----- Receipt -----
+function receipt(transactionId) {
+    const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(Number(transactionId));
+    if (!tx) return null;
+
+    const quote = quotes.latestQuote(tx.Transaction_Id);
+    const paid = db.prepare('SELECT COALESCE(SUM(Amount), 0) AS Total FROM Payments WHERE Transaction_Id = ?').get(tx.Transaction_Id).Total;
+    const printedAt = db.prepare(`
+        SELECT Created_At FROM TransactionEvents WHERE Transaction_Id = ? AND New_Status = 'completed'
+        ORDER BY Event_Id DESC LIMIT 1
+    `).get(tx.Transaction_Id);
+    const documents = items.jobsOf(tx).map((job, i) => ({
+        itemNo: job.Item_No || i + 1,
+        color: job.Color,
+        // best match per page: the papers the parts went out on
+        paper: job.Paper_Size === parts.AUTO
+            ? [...new Set(parts.list(tx.Transaction_Id, job.Item_Id).map(part => part.paper))].join(', ')
+            : job.Paper_Size,
+        pages: job.Pages,
+        copies: job.Copies,
+        duplex: job.Duplex || 'off'
+    }));
+
+    return {
+        id: tx.Transaction_Id,
+        date: tx.Date,
+        status: tx.Status,
+        printedAt: printedAt ? printedAt.Created_At : null,
+        documents,
+        quoteId: quote ? quote.id : null,
+        amount: tx.Amount,
+        paid
+    };
+}
+
+module.exports = { snapshot, watch, receipt };
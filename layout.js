@@ -0,0 +1,212 @@
+// layout.js - puts source pages onto the chosen paper: scaling, margins, rotation, N-up and booklet imposition
+const path = require('path');
+const fsPromise = require('fs').promises;
+const { PDFDocument, degrees } = require('pdf-lib');
+
+// ----- Settings -----
+// fit      preserve aspect ratio, centered
+// fit-top  preserve aspect ratio, top-aligned
+// fill     cover the printable area, cropping what overflows
+// actual   100% scale, top-aligned (may crop if the page is bigger than the paper)
+// shrink   like fit, but never enlarges small pages
+const SCALING_MODES = ['fit', 'fit-top', 'fill', 'actual', 'shrink'];
+const MAX_MARGIN_MM = 25;
+const CELL_GAP = 9; // space between pages on an N-up sheet
+
+// Pages per sheet -> grid of cells as the sheet is read. "Turned" layouts are read with the paper
+// held sideways (2 slides side by side), so the whole grid is rotated onto the portrait sheet.
+const SHEET_LAYOUTS = {
+    1: { cols: 1, rows: 1, turned: false },
+    2: { cols: 2, rows: 1, turned: true },
+    4: { cols: 2, rows: 2, turned: false },
+    6: { cols: 3, rows: 2, turned: true },
+    9: { cols: 3, rows: 3, turned: false },
+    booklet: { cols: 2, rows: 1, turned: true }
+};
+const PAGES_PER_SHEET = Object.keys(SHEET_LAYOUTS);
+
+const DEFAULT_LAYOUT = { scaling: 'fit', marginMm: 0, autoRotate: true, pagesPerSheet: '1' };
+const mmToPt = mm => mm * 72 / 25.4;
+
+// Validate layout settings from a request body, falling back to the defaults
+function parseLayout(body = {}) {
+    const scaling = SCALING_MODES.includes(body.scaling) ? body.scaling : DEFAULT_LAYOUT.scaling;
+    const margin = Number(body.marginMm);
+    const marginMm = isNaN(margin) ? DEFAULT_LAYOUT.marginMm : Math.min(MAX_MARGIN_MM, Math.max(0, margin));
+    const autoRotate = body.autoRotate === undefined ? DEFAULT_LAYOUT.autoRotate : String(body.autoRotate) !== 'false';
+    const pagesPerSheet = PAGES_PER_SHEET.includes(String(body.pagesPerSheet)) ? String(body.pagesPerSheet) : DEFAULT_LAYOUT.pagesPerSheet;
+    return { scaling, marginMm, autoRotate, pagesPerSheet };
+}
+
+// The layout a document's resized PDFs were last rendered with, kept next to the upload
+const layoutFile = (dir, baseName) => path.join(dir, baseName + '_layout.json');
+
+async function readLayout(dir, baseName) {
+    try {
+        return parseLayout(JSON.parse(await fsPromise.readFile(layoutFile(dir, baseName), 'utf8')));
+    } catch (e) {
+        return { ...DEFAULT_LAYOUT };
+    }
+}
+
+async function writeLayout(dir, baseName, layout) {
+    await fsPromise.writeFile(layoutFile(dir, baseName), JSON.stringify(layout));
+}
+
+// Each page's size as it is displayed (its /Rotate applied): [{ page, width, height, orientation }]
+function pageSizes(pdfDoc) {
+    return pdfDoc.getPages().map((page, i) => {
+        const { width, height } = page.getSize();
+        const sideways = page.getRotation().angle % 180 !== 0;
+        const shownW = Math.round(sideways ? height : width);
+        const shownH = Math.round(sideways ? width : height);
+        return { page: i + 1, width: shownW, height: shownH, orientation: shownW > shownH ? 'landscape' : 'portrait' };
+    });
+}
+
+// ----- Imposition -----
+// Which source page (0-based, null = blank) goes in which cell of each printed side
+function impose(pageCount, pagesPerSheet) {
+    if (pagesPerSheet === 'booklet') {
+        // saddle stitch: pad to a multiple of 4, then pair outside-in (last+first, second+second-last, ...)
+        const total = Math.max(4, Math.ceil(pageCount / 4) * 4);
+        const page = i => (i < pageCount ? i : null);
+        const sides = [];
+        for (let s = 0; s < total / 4; s++) {
+            sides.push([page(total - 1 - 2 * s), page(2 * s)]);     // front: left, right
+            sides.push([page(2 * s + 1), page(total - 2 - 2 * s)]); // back:  left, right
+        }
+        return sides;
+    }
+    const perSide = Number(pagesPerSheet);
+    const sides = [];
+    for (let i = 0; i < pageCount; i += perSide) {
+        sides.push(Array.from({ length: Math.min(perSide, pageCount - i) }, (_, k) => i + k));
+    }
+    return sides;
+}
+
+// ----- Placement -----
+// Draw one source page into a box (x, y, w, h) on the sheet, honouring scaling mode and rotation.
+// The box is given as the sheet is read; turn = the sheet is read sideways.
+async function placePage(doc, sheet, page, box, layout, turn) {
+    // 1. Get size and sanitize
+    const { width, height } = page.getSize();
+    const srcW = Math.max(1, isNaN(width) ? 1 : width);
+    const srcH = Math.max(1, isNaN(height) ? 1 : height);
+
+    // 2. Rotation: honour the page's own /Rotate (clockwise), then turn pages whose orientation differs from the box
+    let angle = (360 - (page.getRotation().angle % 360)) % 360;
+    const sideways = angle === 90 || angle === 270;
+    const shownW = sideways ? srcH : srcW;
+    const shownH = sideways ? srcW : srcH;
+    if (layout.autoRotate && shownW !== shownH && box.w !== box.h && (shownW > shownH) !== (box.w > box.h)) {
+        angle = (angle + 90) % 360;
+    }
+    const turned = angle === 90 || angle === 270;
+    const rotW = turned ? srcH : srcW; // size on the sheet at scale 1
+    const rotH = turned ? srcW : srcH;
+
+    // 3. Scale for the chosen mode
+    const fitScale = Math.min(box.w / rotW, box.h / rotH);
+    const scale = layout.scaling === 'fill' ? Math.max(box.w / rotW, box.h / rotH)
+        : layout.scaling === 'actual' ? 1
+        : layout.scaling === 'shrink' ? Math.min(1, fitScale)
+        : fitScale;
+
+    // 4. Crop what would spill outside the box (fill / actual): embed only the visible part
+    const visW = Math.min(rotW, box.w / scale);
+    const visH = Math.min(rotH, box.h / scale);
+    const cropW = turned ? visH : visW; // back in source page units
+    const cropH = turned ? visW : visH;
+    const topAligned = layout.scaling === 'fit-top' || layout.scaling === 'actual';
+    // keep the part that ends up at the top of the box: which source edge that is depends on the rotation
+    let left = (srcW - cropW) / 2;
+    let bottom = (srcH - cropH) / 2;
+    if (topAligned) {
+        if (angle === 0) bottom = srcH - cropH;
+        else if (angle === 180) bottom = 0;
+        else if (angle === 90) left = srcW - cropW;
+        else left = 0;
+    }
+    const embeddedPage = await doc.embedPage(page, { left, bottom, right: left + cropW, top: bottom + cropH });
+
+    // 5. Place it in the box (centered, or against the top edge)
+    const drawnW = visW * scale;
+    const drawnH = visH * scale;
+    const x0 = box.x + (box.w - drawnW) / 2;
+    const y0 = topAligned ? box.y + box.h - drawnH : box.y + (box.h - drawnH) / 2;
+
+    // drawPage rotates counter-clockwise around (x, y): shift the origin so the result lands on (x0, y0)
+    let [x, y] = {
+        0: [x0, y0],
+        90: [x0 + drawnW, y0],
+        180: [x0 + drawnW, y0 + drawnH],
+        270: [x0, y0 + drawnH]
+    }[angle];
+
+    // A turned sheet is read sideways: rotate the whole reading layout a quarter turn onto the paper
+    if (turn) {
+        [x, y] = [sheet.getWidth() - y, x];
+        angle = (angle + 90) % 360;
+    }
+
+    sheet.drawPage(embeddedPage, {
+        x,
+        y,
+        width: cropW * scale,
+        height: cropH * scale,
+        rotate: degrees(angle)
+    });
+}
+
+// Lay the source PDF out on targetWidth x targetHeight paper. Returns the number of printed sides.
+async function resizePDF(inputPath, outputPath, targetWidth, targetHeight, layout = DEFAULT_LAYOUT) {
+    const existingBytes = await fsPromise.readFile(inputPath);
+    const pdfDoc = await PDFDocument.load(existingBytes);
+
+    // Create a new document to hold the laid-out sheets
+    const newPdfDoc = await PDFDocument.create();
+
+    const grid = SHEET_LAYOUTS[layout.pagesPerSheet] || SHEET_LAYOUTS[1];
+    // the sheet as it is read (sideways for turned layouts)
+    const readW = grid.turned ? targetHeight : targetWidth;
+    const readH = grid.turned ? targetWidth : targetHeight;
+    const margin = Math.min(mmToPt(layout.marginMm || 0), readW / 4, readH / 4);
+    const gap = grid.cols * grid.rows > 1 ? CELL_GAP : 0;
+    const cellW = (readW - 2 * margin - (grid.cols - 1) * gap) / grid.cols;
+    const cellH = (readH - 2 * margin - (grid.rows - 1) * gap) / grid.rows;
+
+    const pages = pdfDoc.getPages();
+    for (const cells of impose(pages.length, layout.pagesPerSheet)) {
+        const sheet = newPdfDoc.addPage([targetWidth, targetHeight]);
+        for (let slot = 0; slot < cells.length; slot++) {
+            if (cells[slot] === null) continue; // booklet padding
+            const col = slot % grid.cols;
+            const row = Math.floor(slot / grid.cols);
+            const box = {
+                x: margin + col * (cellW + gap),
+                y: readH - margin - (row + 1) * cellH - row * gap,
+                w: cellW,
+                h: cellH
+            };
+            await placePage(newPdfDoc, sheet, pages[cells[slot]], box, layout, grid.turned);
+        }
+    }
+
+    const pdfBytes = await newPdfDoc.save();
+    await fsPromise.writeFile(outputPath, pdfBytes);
+    return newPdfDoc.getPageCount();
+}
+
+module.exports = {
+    resizePDF,
+    impose,
+    pageSizes,
+    parseLayout,
+    readLayout,
+    writeLayout,
+    SCALING_MODES,
+    PAGES_PER_SHEET,
+    DEFAULT_LAYOUT
+};
@@ -0,0 +1,84 @@
+// pageedits.js - the kiosk's page editor: reorder, rotate, delete and duplicate pages before printing
+//
+// An edit list is the new page sequence, each entry naming a page of the uploaded document and a clockwise
+// turn: [{ source: 3, rotate: 0 }, { source: 1, rotate: 90 }, ...]. The upload is kept as <base>_original.pdf
+// and <base>.pdf is rebuilt from it, so every later step (layout, previews, transaction, cost) sees the edited
+// document. The applied list is kept in <base>_edits.json with the fingerprint and page count of the unedited upload.
+const path = require('path');
+const fs = require('fs');
+const fsPromise = fs.promises;
+const crypto = require('crypto');
+const { PDFDocument, degrees } = require('pdf-lib');
+const layouts = require('./layout');
+const renderer = require('./renderer');
+
+const ROTATIONS = [0, 90, 180, 270];
+
+const originalFile = (dir, baseName) => path.join(dir, baseName + '_original.pdf');
+const editsFile = (dir, baseName) => path.join(dir, baseName + '_edits.json');
+
+// The unedited page sequence of a document with count pages
+const identity = count => Array.from({ length: count }, (_, i) => ({ source: i + 1, rotate: 0 }));
+
+// Every page of a pageCount page document kept in place and unturned (deleting the last pages is an edit too)
+const isIdentity = (edits, pageCount) => edits.length === pageCount && edits.every((e, i) => e.source === i + 1 && e.rotate === 0);
+
+// Check an edit list from a request body. Returns [{ source, rotate }], or null when it is malformed.
+function parse(list) {
+    if (!Array.isArray(list) || !list.length || list.length > renderer.MAX_PAGES) return null;
+    const edits = list.map(e => ({ source: Number(e && e.source), rotate: Number(e && e.rotate) || 0 }));
+    const valid = edits.every(e => Number.isInteger(e.source) && e.source >= 1 && ROTATIONS.includes(e.rotate));
+    return valid ? edits : null;
+}
+
+// ----- State -----
+// { fingerprint, sourcePages, pages: [edits] } of the last applied edit, or null when the document was never edited
+async function read(dir, baseName) {
+    try {
+        return JSON.parse(await fsPromise.readFile(editsFile(dir, baseName), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+async function write(dir, baseName, state) {
+    await fsPromise.writeFile(editsFile(dir, baseName), JSON.stringify(state));
+}
+
+// Set the upload aside the first time it is edited. Returns the path of the unedited document.
+async function keepOriginal(dir, baseName) {
+    const original = originalFile(dir, baseName);
+    if (!fs.existsSync(original)) await fsPromise.copyFile(path.join(dir, baseName + '.pdf'), original);
+    return original;
+}
+
+// Render cache key of the edited document: same upload + same edits = same pages
+const fingerprint = (baseFp, edits) => crypto.createHash('sha256').update(baseFp + JSON.stringify(edits)).digest('hex');
+
+// ----- Apply -----
+// Build outputPath from the pages of originalPath in edit order, each turned by its extra rotation
+async function apply(originalPath, outputPath, edits) {
+    const source = await PDFDocument.load(await fsPromise.readFile(originalPath));
+    const edited = await PDFDocument.create();
+    for (const e of edits) {
+        // one copy per entry: a duplicated page must be its own page object to be rotated on its own
+        const [page] = await edited.copyPages(source, [e.source - 1]);
+        page.setRotation(degrees((page.getRotation().angle + e.rotate) % 360));
+        edited.addPage(page);
+    }
+    await fsPromise.writeFile(outputPath, await edited.save());
+}
+
+// For each printed side after an edit, the side before it (1-based) that shows exactly the same pages,
+// or null when it has to be rendered again. Works for every N-up / booklet layout through the imposition.
+function matchSides(before, after, pagesPerSheet) {
+    const sideKeys = edits => layouts.impose(edits.length, pagesPerSheet)
+        .map(cells => JSON.stringify(cells.map(c => (c === null ? null : edits[c]))));
+    const old = sideKeys(before);
+    return sideKeys(after).map(key => {
+        const i = old.indexOf(key);
+        return i < 0 ? null : i + 1;
+    });
+}
+
+module.exports = { identity, isIdentity, parse, read, write, keepOriginal, fingerprint, apply, matchSides, ROTATIONS };
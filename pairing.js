@@ -0,0 +1,121 @@
+// pairing.js - job codes: set up a job on a phone, pay for and print it at the kiosk
+//
+// A customer on the captive portal uploads and configures as usual, then asks for a job code instead of
+// paying. Typing the code at the kiosk claims the transaction: its files move into the kiosk's session
+// workspace and the kiosk carries on from the cost page. Codes are single-use; a code nobody claims within
+// JOB_CODE_TTL_MINUTES expires and its transaction is cancelled.
+const crypto = require('crypto');
+const db = require('./db');
+const sessions = require('./sessions');
+const transactions = require('./transactions');
+const items = require('./items');
+
+// ----- Settings -----
+// No 0/O, 1/I/L: codes are read off a phone screen and typed on a touch keyboard
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = (Number(process.env.JOB_CODE_TTL_MINUTES) || 30) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Only jobs nobody has paid for yet can change hands
+const CLAIMABLE = ['pending', 'quoted'];
+
+class PairingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PairingError';
+    }
+}
+
+// What the customer typed, as stored: "ab3-k7p" -> "AB3K7P"
+const normalize = code => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function newCode() {
+    for (;;) {
+        const code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+        // never reused, so an old code can't open someone else's job
+        if (!db.prepare('SELECT 1 FROM Transactions WHERE Job_Code = ?').get(code)) return code;
+    }
+}
+
+// ----- Issue -----
+// Give an unpaid transaction a job code (the same one again while it is still valid). Returns { code, expiresAt }.
+function issue(tx) {
+    if (!CLAIMABLE.includes(tx.Status)) throw new PairingError(`This transaction is ${tx.Status} and can no longer be picked up at the kiosk.`);
+    if (tx.Job_Code_Claimed_At) throw new PairingError('This job was already picked up at the kiosk.');
+    const now = new Date();
+    if (tx.Job_Code && tx.Job_Code_Expires_At > now.toISOString()) return { code: tx.Job_Code, expiresAt: tx.Job_Code_Expires_At };
+
+    const code = newCode();
+    const expiresAt = new Date(now.getTime() + CODE_TTL_MS).toISOString();
+    db.prepare('UPDATE Transactions SET Job_Code = ?, Job_Code_Expires_At = ? WHERE Transaction_Id = ?').run(code, expiresAt, tx.Transaction_Id);
+    transactions.recordEvent(tx.Transaction_Id, tx.Status, tx.Status, { actor: 'kiosk', note: `Job code ${code} issued` });
+    return { code, expiresAt };
+}
+
+// ----- Claim -----
+// Hand the transaction with this code to the kiosk session sid. Returns the claimed transaction.
+async function claim(code, sid) {
+    const now = new Date().toISOString();
+    const tx = db.prepare(`
+        SELECT * FROM Transactions
+        WHERE Job_Code = ? AND Job_Code_Claimed_At IS NULL AND Job_Code_Expires_At > ?
+    `).get(normalize(code), now);
+    if (!tx || !CLAIMABLE.includes(tx.Status)) throw new PairingError('This job code is not valid or has expired.');
+
+    // claim first, so the same code typed at two screens only opens the job once
+    const claimed = db.transaction(() => {
+        const result = db.prepare(`
+            UPDATE Transactions SET Job_Code_Claimed_At = ?, Session_Id = ?
+            WHERE Transaction_Id = ? AND Job_Code_Claimed_At IS NULL
+        `).run(now, sid, tx.Transaction_Id);
+        if (result.changes !== 1) return false;
+        transactions.recordEvent(tx.Transaction_Id, tx.Status, tx.Status, { actor: 'kiosk', note: `Job code ${tx.Job_Code} claimed` });
+        return true;
+    })();
+    if (!claimed) throw new PairingError('This job code is not valid or has expired.');
+
+    for (const filePath of new Set(items.jobsOf(tx).map(job => job.File_Path))) {
+        await sessions.moveJob(tx.Session_Id, sid, String(filePath));
+    }
+    return { ...tx, Session_Id: sid, Job_Code_Claimed_At: now };
+}
+
+// ----- Operator list -----
+// Codes still waiting to be typed at the kiosk, newest first
+function unclaimed() {
+    return db.prepare(`
+        SELECT Transaction_Id, Job_Code, Job_Code_Expires_At, Date, Status, Amount FROM Transactions
+        WHERE Job_Code_Claimed_At IS NULL AND Job_Code_Expires_At > ? AND Status IN (${CLAIMABLE.map(() => '?').join(', ')})
+        ORDER BY Job_Code_Expires_At DESC
+    `).all(new Date().toISOString(), ...CLAIMABLE).map(row => ({
+        id: row.Transaction_Id,
+        code: row.Job_Code,
+        expiresAt: row.Job_Code_Expires_At,
+        createdAt: row.Date,
+        status: row.Status,
+        documents: items.list(row.Transaction_Id).length || 1
+    }));
+}
+
+// ----- Expiry -----
+// Cancel jobs whose code ran out unclaimed and remove their files
+async function expire() {
+    const rows = db.prepare(`
+        SELECT * FROM Transactions
+        WHERE Job_Code_Claimed_At IS NULL AND Job_Code_Expires_At <= ? AND Status IN (${CLAIMABLE.map(() => '?').join(', ')})
+    `).all(new Date().toISOString(), ...CLAIMABLE);
+    for (const tx of rows) {
+        transactions.transition(tx.Transaction_Id, 'cancelled', { actor: 'system', note: `Job code ${tx.Job_Code} expired` });
+        for (const filePath of new Set(items.jobsOf(tx).map(job => job.File_Path))) {
+            await sessions.clearJob(tx.Session_Id, String(filePath));
+        }
+        console.log(`Job code ${tx.Job_Code} expired, transaction ${tx.Transaction_Id} cancelled`);
+    }
+}
+
+function startSweeper() {
+    setInterval(() => expire().catch(e => console.error('job code sweep error', e.message)), SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = { issue, claim, unclaimed, expire, startSweeper, PairingError };
@@ -0,0 +1,86 @@
+// papers.js - registry of the paper sizes the kiosk can print on (PaperSizes table)
+//
+// Every place that used to list letter/legal reads this instead: the kiosk dropdown (GET /papers),
+// layout and preview rendering, per-paper preview folders, the /transaction/create check,
+// the CUPS media option and the seed prices in pricing.js.
+// Operators switch sizes on and off with PUT /admin/api/papers/:name; disabled sizes are not offered or rendered.
+const db = require('./db');
+
+// ----- Settings -----
+// Points are 1/72 inch. Long bond is the 8.5 x 13 in "folio" paper schools here ask for.
+const DEFAULT_PAPERS = [
+    { name: 'letter', label: 'Letter (short)', width: 612, height: 792, media: 'Letter', bwPrice: 5, colorPrice: 10 },
+    { name: 'legal', label: 'Legal (long)', width: 612, height: 1008, media: 'Legal', bwPrice: 5, colorPrice: 10 },
+    { name: 'a4', label: 'A4', width: 595, height: 842, media: 'A4', bwPrice: 5, colorPrice: 10 },
+    { name: 'longbond', label: 'Long bond (8.5 x 13)', width: 612, height: 936, media: 'na_foolscap_8.5x13in', bwPrice: 5, colorPrice: 10 }
+];
+// How far (in points, each side) a document's page may be from a registered size and still count as it
+const MATCH_TOLERANCE_PT = Number(process.env.PAPER_MATCH_TOLERANCE_PT) || 18;
+
+// First run (and new sizes in an update): register the defaults, enabled
+const insertPaper = db.prepare(`
+    INSERT OR IGNORE INTO PaperSizes (Paper_Size, Label, Width_Pt, Height_Pt, Media, Enabled, Default_Bw_Price, Default_Color_Price, Sort_Order)
+    VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)
+`);
+DEFAULT_PAPERS.forEach((p, i) => insertPaper.run(p.name, p.label, p.width, p.height, p.media, p.bwPrice, p.colorPrice, i));
+
+const toPaper = row => ({
+    name: row.Paper_Size,
+    label: row.Label,
+    width: row.Width_Pt,
+    height: row.Height_Pt,
+    media: row.Media,
+    enabled: !!row.Enabled,
+    defaultPrices: { bw: row.Default_Bw_Price, color: row.Default_Color_Price }
+});
+
+// ----- Read -----
+// All registered sizes (or only the enabled ones), in dropdown order
+function list({ enabledOnly = false } = {}) {
+    return db.prepare(`SELECT * FROM PaperSizes ${enabledOnly ? 'WHERE Enabled = 1' : ''} ORDER BY Sort_Order, Paper_Size`)
+        .all()
+        .map(toPaper);
+}
+
+const names = () => list().map(p => p.name);
+const enabled = () => list({ enabledOnly: true });
+
+function get(name) {
+    const row = db.prepare('SELECT * FROM PaperSizes WHERE Paper_Size = ?').get(String(name));
+    return row ? toPaper(row) : null;
+}
+
+function isEnabled(name) {
+    const paper = get(name);
+    return !!(paper && paper.enabled);
+}
+
+// The enabled size closest to a page of width x height points (either orientation), or null when none
+// is within tolerance (pass Infinity for the nearest size whatever the distance)
+function closest(width, height, tolerance = MATCH_TOLERANCE_PT) {
+    const short = Math.min(width, height);
+    const long = Math.max(width, height);
+    let best = null;
+    let bestDistance = Infinity;
+    for (const paper of enabled()) {
+        const dShort = Math.abs(short - Math.min(paper.width, paper.height));
+        const dLong = Math.abs(long - Math.max(paper.width, paper.height));
+        if (dShort > tolerance || dLong > tolerance) continue;
+        if (dShort + dLong < bestDistance) {
+            best = paper.name;
+            bestDistance = dShort + dLong;
+        }
+    }
+    return best;
+}
+
+// ----- Update -----
+function setEnabled(name, on) {
+    const paper = get(name);
+    if (!paper) throw new Error(`Unknown paper size "${name}"`);
+    if (!on && enabled().filter(p => p.name !== paper.name).length === 0) throw new Error('At least one paper size must stay enabled.');
+    db.prepare('UPDATE PaperSizes SET Enabled = ? WHERE Paper_Size = ?').run(on ? 1 : 0, paper.name);
+    return get(paper.name);
+}
+
+module.exports = { list, names, enabled, get, isEnabled, closest, setEnabled };
@@ -0,0 +1,75 @@
+// parts.js - "best match per page": one document printed on several paper sizes
+//
+// A transaction with Paper_Size 'auto' is split into parts (sub-jobs), one per paper size, each holding the
+// pages whose own size is closest to that paper. Every part is priced on its paper and printed as its own
+// spooler job from that paper's laid-out PDF (see printer.js). Parts live in TransactionParts; in a cart
+// order (items.js) they belong to one document, identified by Item_Id.
+const db = require('./db');
+const papers = require('./papers');
+
+const AUTO = 'auto';
+
+// Page numbers from a comma list ("1, 3, 4")
+const pageList = pages => String(pages || '').split(',').map(s => Number(s.trim())).filter(n => Number.isInteger(n) && n > 0);
+
+// The enabled paper closest to each page ([{ width, height }] from layout.pageSizes), in page order
+const bestPapers = pageSizes => pageSizes.map(p => papers.closest(p.width, p.height, Infinity));
+
+// Group the selected pages by their best paper, in order of first appearance: [{ paper, pages: [n] }]
+function split(pageSizes, selectedPages) {
+    const best = bestPapers(pageSizes);
+    const parts = [];
+    for (const page of selectedPages) {
+        const paper = best[page - 1];
+        if (!paper) continue; // not in the document
+        let part = parts.find(p => p.paper === paper);
+        if (!part) parts.push(part = { paper, pages: [] });
+        part.pages.push(page);
+    }
+    return parts;
+}
+
+const toPart = row => ({
+    id: row.Part_Id,
+    partNo: row.Part_No,
+    itemId: row.Item_Id,
+    paper: row.Paper_Size,
+    pages: row.Pages,
+    amount: row.Amount,
+    status: row.Status, // pending | printed
+    spoolJobId: row.Spool_Job_Id
+});
+
+// A transaction's parts; pass itemId for those of one cart document only (undefined = all of them)
+function list(transactionId, itemId) {
+    const ofItem = itemId === undefined ? '' : 'AND Item_Id IS ?';
+    return db.prepare(`SELECT * FROM TransactionParts WHERE Transaction_Id = ? ${ofItem} ORDER BY Item_Id, Part_No`)
+        .all(transactionId, ...(itemId === undefined ? [] : [itemId]))
+        .map(toPart);
+}
+
+// Replace a transaction's (or one cart document's) parts (call inside the transaction that creates it)
+function save(transactionId, parts, itemId = null) {
+    db.prepare('DELETE FROM TransactionParts WHERE Transaction_Id = ? AND Item_Id IS ?').run(transactionId, itemId);
+    const insert = db.prepare(`
+        INSERT INTO TransactionParts (Transaction_Id, Item_Id, Part_No, Paper_Size, Pages, Status) VALUES (?, ?, ?, ?, ?, 'pending')
+    `);
+    parts.forEach((part, i) => insert.run(transactionId, itemId, i + 1, part.paper, part.pages.join(',')));
+}
+
+// Record each part's share of a quote: [{ paper, totalCost }]
+function setAmounts(transactionId, quotedParts, itemId = null) {
+    const update = db.prepare('UPDATE TransactionParts SET Amount = ? WHERE Transaction_Id = ? AND Item_Id IS ? AND Paper_Size = ?');
+    quotedParts.forEach(p => update.run(p.totalCost, transactionId, itemId, p.paper));
+}
+
+function markPrinted(partId, spoolJobId) {
+    db.prepare(`UPDATE TransactionParts SET Status = 'printed', Spool_Job_Id = ? WHERE Part_Id = ?`).run(spoolJobId, partId);
+}
+
+// A new print run (first print or reprint) prints every part again
+function resetPrinting(transactionId) {
+    db.prepare(`UPDATE TransactionParts SET Status = 'pending', Spool_Job_Id = NULL WHERE Transaction_Id = ?`).run(transactionId);
+}
+
+module.exports = { AUTO, pageList, split, list, save, setAmounts, markPrinted, resetPrinting };
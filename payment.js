@@ -0,0 +1,181 @@
+// payment.js - coin/bill acceptor driver: turns acceptor pulses into credited pesos
+const EventEmitter = require('events');
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+const db = require('./db');
+
+// ----- Settings -----
+// PAYMENT_DEVICE picks the backend:
+//   serial    - bytes from a serial bridge (e.g. Arduino), one byte per pulse
+//   gpio      - a sysfs GPIO value file wired to the acceptor's pulse line
+//   simulator - local TCP socket; each line is a pulse count (`nc 127.0.0.1 7070`, then type 5). Development only:
+//               anything on the machine can create credit through it
+//   stdin     - same line protocol read from the server's stdin
+//   none      - no acceptor attached (the default, so a kiosk never takes credit from the simulator by accident)
+const PAYMENT_DEVICE = process.env.PAYMENT_DEVICE || 'none';
+const SERIAL_PATH = process.env.PAYMENT_SERIAL_PATH || '/dev/ttyUSB0';
+const GPIO_PATH = process.env.PAYMENT_GPIO_PATH || '/sys/class/gpio/gpio17/value';
+const GPIO_POLL_MS = 2;
+const SIMULATOR_PORT = Number(process.env.PAYMENT_SIMULATOR_PORT) || 7070;
+const PESOS_PER_PULSE = Number(process.env.PESOS_PER_PULSE) || 1;
+// Pulses closer together than this belong to the same coin/bill
+const PULSE_GAP_MS = Number(process.env.PULSE_GAP_MS) || 200;
+// An unpaid transaction keeps the acceptor from other sessions until it is paid or cancelled,
+// or until nobody has started or fed it for this long (a customer who walked away)
+const HOLD_MS = (Number(process.env.PAYMENT_HOLD_MINUTES) || 10) * 60 * 1000;
+
+// The acceptor is busy with another customer's transaction
+class PaymentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentError';
+    }
+}
+
+const events = new EventEmitter();
+events.setMaxListeners(50); // one listener per open cost page
+
+let activeTransactionId = null;
+let activeSessionId = null;
+let activeSince = 0; // last time the active transaction was started or credited
+let floatingCredit = 0; // coins inserted while no transaction was active, for the next one started at the kiosk
+let pendingPulses = 0;
+let pulseTimer = null;
+
+// ----- Credit -----
+function getCredit(transactionId) {
+    const row = db.prepare('SELECT COALESCE(SUM(Amount), 0) AS credit FROM Payments WHERE Transaction_Id = ?').get(transactionId);
+    return row.credit;
+}
+
+function recordPayment(transactionId, amount, source) {
+    db.prepare('INSERT INTO Payments (Transaction_Id, Amount, Source, Created_At) VALUES (?, ?, ?, ?)')
+        .run(transactionId, amount, source, new Date().toISOString());
+    const credit = getCredit(transactionId);
+    events.emit('credit', { transactionId, amount, credit });
+    return credit;
+}
+
+function creditPesos(amount) {
+    if (!(amount > 0)) return;
+    if (activeTransactionId == null) {
+        floatingCredit += amount;
+        console.log(`Payment: ₱${amount} inserted with no active transaction (holding ₱${floatingCredit})`);
+        return;
+    }
+    activeSince = Date.now();
+    recordPayment(activeTransactionId, amount, PAYMENT_DEVICE);
+}
+
+// Another session's transaction is still waiting to be paid with the acceptor
+function heldByOther(sessionId) {
+    if (activeTransactionId == null || activeSessionId === sessionId) return false;
+    if (Date.now() - activeSince > HOLD_MS) return false;
+    const tx = db.prepare('SELECT Status FROM Transactions WHERE Transaction_Id = ?').get(activeTransactionId);
+    return !!tx && ['pending', 'quoted'].includes(tx.Status);
+}
+
+// The acceptor currently credits this transaction (the one on the kiosk's cost page) of session sessionId.
+// Only the kiosk's own screen may call this (see /payment/start): floating credit goes to whoever does.
+// Throws PaymentError while another session's unpaid transaction holds it.
+function setActiveTransaction(transactionId, sessionId) {
+    if (heldByOther(sessionId)) throw new PaymentError('The coin acceptor is in use by another customer. Please try again in a moment.');
+    activeTransactionId = Number(transactionId);
+    activeSessionId = sessionId;
+    activeSince = Date.now();
+    if (floatingCredit > 0) {
+        const held = floatingCredit;
+        floatingCredit = 0;
+        recordPayment(activeTransactionId, held, PAYMENT_DEVICE);
+    }
+    return getCredit(activeTransactionId);
+}
+
+function clearActiveTransaction(transactionId) {
+    if (transactionId == null || Number(transactionId) === activeTransactionId) {
+        activeTransactionId = null;
+        activeSessionId = null;
+    }
+}
+
+// ----- Pulses -----
+function pulse(count = 1) {
+    pendingPulses += count;
+    clearTimeout(pulseTimer);
+    pulseTimer = setTimeout(() => {
+        const pesos = pendingPulses * PESOS_PER_PULSE;
+        pendingPulses = 0;
+        creditPesos(pesos);
+    }, PULSE_GAP_MS);
+}
+
+// Line protocol shared by the simulator and stdin: "5" = five pulses, empty line = one pulse
+function handleLine(line) {
+    const text = String(line).trim();
+    const count = text === '' ? 1 : Number(text);
+    if (Number.isInteger(count) && count > 0 && count <= 1000) pulse(count);
+}
+
+// ----- Backends -----
+function startSerial() {
+    // The port is expected to be configured already (e.g. `stty -F /dev/ttyUSB0 9600 raw`)
+    const stream = fs.createReadStream(SERIAL_PATH);
+    stream.on('data', chunk => pulse(chunk.length));
+    stream.on('error', e => console.error('Payment serial error:', e.message));
+    console.log('Payment: reading pulses from serial', SERIAL_PATH);
+}
+
+function startGpio() {
+    let fd;
+    try {
+        fd = fs.openSync(GPIO_PATH, 'r');
+    } catch (e) {
+        console.error('Payment GPIO error:', e.message);
+        return;
+    }
+    const buf = Buffer.alloc(1);
+    let last = '1';
+    // Acceptor pulse lines are active-low: count each falling edge
+    setInterval(() => {
+        try {
+            fs.readSync(fd, buf, 0, 1, 0);
+        } catch (e) {
+            return;
+        }
+        const value = buf.toString();
+        if (last === '1' && value === '0') pulse();
+        last = value;
+    }, GPIO_POLL_MS).unref();
+    console.log('Payment: polling GPIO', GPIO_PATH);
+}
+
+function startSimulator() {
+    const server = net.createServer(socket => {
+        readline.createInterface({ input: socket }).on('line', handleLine);
+        socket.on('error', () => {});
+    });
+    server.on('error', e => console.error('Payment simulator error:', e.message));
+    server.listen(SIMULATOR_PORT, '127.0.0.1', () => {
+        console.log(`Payment simulator listening on 127.0.0.1:${SIMULATOR_PORT}`);
+    });
+    server.unref();
+}
+
+function startStdin() {
+    readline.createInterface({ input: process.stdin }).on('line', handleLine);
+    console.log('Payment: reading pulse counts from stdin');
+}
+
+function start() {
+    switch (PAYMENT_DEVICE) {
+        case 'serial': return startSerial();
+        case 'gpio': return startGpio();
+        case 'simulator': return startSimulator();
+        case 'stdin': return startStdin();
+        case 'none': return console.warn('Payment: no acceptor configured (set PAYMENT_DEVICE)');
+        default: console.warn('Unknown PAYMENT_DEVICE:', PAYMENT_DEVICE);
+    }
+}
+
+module.exports = { start, events, getCredit, setActiveTransaction, clearActiveTransaction, PaymentError };
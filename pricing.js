@@ -0,0 +1,290 @@
+// pricing.js - database-backed pricing rules for /calculate-cost
+//
+// Rules are keyed by paper size and color mode:
+//   PricingRules      - per-sheet base price, and optionally a price per double-sided sheet (Duplex_Price)
+//   PricingSurcharges - per-page surcharge once a page's ink coverage (%) reaches Min_Coverage (highest match wins)
+//   PricingTiers      - replaces the base price once sheets x copies reaches Min_Pages (highest match wins)
+const db = require('./db');
+const papers = require('./papers');
+
+const COLOR_MODES = ['bw', 'color'];
+const DUPLEX_MODES = ['off', 'long-edge', 'short-edge', 'manual'];
+
+// Seed surcharges for color pages by ink coverage: ₱0.50 from 8%, rising to ₱6 for a fully inked page.
+// These are starting values for the operator to tune, not a port of the old per-twelfth surcharge.
+// Base prices come from each paper size's defaults (see papers.js).
+const DEFAULT_SURCHARGE_STEPS = [[8, 0.5], [25, 1.5], [50, 3], [75, 4.5], [100, 6]]; // [min coverage %, surcharge]
+
+function defaultsFor(paperList) {
+    const rules = [];
+    const surcharges = [];
+    for (const { name: paper, defaultPrices } of paperList) {
+        rules.push({ paper, color: 'bw', basePrice: defaultPrices.bw }, { paper, color: 'color', basePrice: defaultPrices.color });
+        DEFAULT_SURCHARGE_STEPS.forEach(([minCoverage, surcharge]) => {
+            surcharges.push({ paper, color: 'color', minCoverage, surcharge });
+        });
+    }
+    return { rules, surcharges };
+}
+
+function currentVersion() {
+    const row = db.prepare('SELECT MAX(Version) AS version FROM PricingVersions').get();
+    return row.version || 0;
+}
+
+// ----- Read -----
+function getRules() {
+    return {
+        version: currentVersion(),
+        rules: db.prepare(`
+            SELECT Paper_Size AS paper, Color AS color, Base_Price AS basePrice, Duplex_Price AS duplexPrice
+            FROM PricingRules ORDER BY Paper_Size, Color
+        `).all(),
+        surcharges: db.prepare(`
+            SELECT Paper_Size AS paper, Color AS color, Min_Coverage AS minCoverage, Surcharge AS surcharge
+            FROM PricingSurcharges ORDER BY Paper_Size, Color, Min_Coverage
+        `).all(),
+        tiers: db.prepare(`
+            SELECT Paper_Size AS paper, Color AS color, Min_Pages AS minPages, Base_Price AS basePrice
+            FROM PricingTiers ORDER BY Paper_Size, Color, Min_Pages
+        `).all()
+    };
+}
+
+// ----- Update -----
+function checkKey(entry, label) {
+    if (!papers.get(entry.paper)) throw new Error(`${label}: invalid paper size "${entry.paper}"`);
+    if (!COLOR_MODES.includes(entry.color)) throw new Error(`${label}: invalid color mode "${entry.color}"`);
+}
+
+function checkAmount(value, label) {
+    const n = Number(value);
+    if (value === null || value === '' || isNaN(n) || n < 0) throw new Error(`${label} must be a number >= 0`);
+    return n;
+}
+
+// Replace the whole rule set; returns the new version number
+function updateRules({ rules = [], surcharges = [], tiers = [] } = {}, note = null) {
+    if (![rules, surcharges, tiers].every(Array.isArray)) throw new Error('rules, surcharges and tiers must be arrays');
+
+    const cleanRules = rules.map(r => {
+        checkKey(r, 'Rule');
+        const duplexPrice = r.duplexPrice === undefined || r.duplexPrice === null || r.duplexPrice === ''
+            ? null
+            : checkAmount(r.duplexPrice, 'Duplex price');
+        return [r.paper, r.color, checkAmount(r.basePrice, 'Base price'), duplexPrice];
+    });
+    for (const paper of papers.names()) {
+        for (const color of COLOR_MODES) {
+            if (!cleanRules.some(r => r[0] === paper && r[1] === color)) throw new Error(`Missing base price for ${paper} ${color}`);
+        }
+    }
+    const cleanSurcharges = surcharges.map(s => {
+        checkKey(s, 'Surcharge');
+        const minCoverage = checkAmount(s.minCoverage, 'Minimum coverage');
+        if (minCoverage > 100) throw new Error('Minimum coverage must be at most 100');
+        return [s.paper, s.color, minCoverage, checkAmount(s.surcharge, 'Surcharge')];
+    });
+    const cleanTiers = tiers.map(t => {
+        checkKey(t, 'Tier');
+        const minPages = checkAmount(t.minPages, 'Minimum pages');
+        if (!Number.isInteger(minPages) || minPages < 1) throw new Error('Minimum pages must be a whole number >= 1');
+        return [t.paper, t.color, minPages, checkAmount(t.basePrice, 'Tier price')];
+    });
+
+    const replaceAll = db.transaction(() => {
+        db.prepare('DELETE FROM PricingRules').run();
+        db.prepare('DELETE FROM PricingSurcharges').run();
+        db.prepare('DELETE FROM PricingTiers').run();
+        const insertRule = db.prepare('INSERT INTO PricingRules (Paper_Size, Color, Base_Price, Duplex_Price) VALUES (?, ?, ?, ?)');
+        const insertSurcharge = db.prepare('INSERT INTO PricingSurcharges (Paper_Size, Color, Min_Coverage, Surcharge) VALUES (?, ?, ?, ?)');
+        const insertTier = db.prepare('INSERT INTO PricingTiers (Paper_Size, Color, Min_Pages, Base_Price) VALUES (?, ?, ?, ?)');
+        cleanRules.forEach(r => insertRule.run(...r));
+        cleanSurcharges.forEach(s => insertSurcharge.run(...s));
+        cleanTiers.forEach(t => insertTier.run(...t));
+        return db.prepare('INSERT INTO PricingVersions (Created_At, Note) VALUES (?, ?)')
+            .run(new Date().toISOString(), note).lastInsertRowid;
+    });
+    return Number(replaceAll());
+}
+
+// First run: install the defaults as version 1.
+// Later, paper sizes registered since the last edit get their default prices in a new version.
+if (currentVersion() === 0) {
+    updateRules({ ...defaultsFor(papers.list()), tiers: [] }, 'Default prices');
+} else {
+    const priced = new Set(db.prepare('SELECT DISTINCT Paper_Size FROM PricingRules').all().map(r => r.Paper_Size));
+    const added = papers.list().filter(p => !priced.has(p.name));
+    if (added.length) {
+        const current = getRules();
+        const defaults = defaultsFor(added);
+        updateRules({
+            rules: [...current.rules, ...defaults.rules],
+            surcharges: [...current.surcharges, ...defaults.surcharges],
+            tiers: current.tiers
+        }, `Default prices for ${added.map(p => p.name).join(', ')}`);
+    }
+}
+
+// ----- Evaluate -----
+// Base price, duplex price and tier for one color mode at a given job size
+function rateFor(paper, color, sheetCount) {
+    const rule = db.prepare('SELECT Base_Price, Duplex_Price FROM PricingRules WHERE Paper_Size = ? AND Color = ?').get(paper, color);
+    if (!rule) throw new Error(`No price set for ${paper} ${color}`);
+    const tier = db.prepare(`
+        SELECT Min_Pages, Base_Price FROM PricingTiers
+        WHERE Paper_Size = ? AND Color = ? AND Min_Pages <= ?
+        ORDER BY Min_Pages DESC LIMIT 1
+    `).get(paper, color, sheetCount);
+    const basePrice = tier ? tier.Base_Price : rule.Base_Price;
+    return {
+        basePrice,
+        // without a duplex price a double-sided sheet costs the same as two single-sided ones
+        duplexPrice: rule.Duplex_Price ?? basePrice * 2,
+        tierMinPages: tier ? tier.Min_Pages : null
+    };
+}
+
+const isDuplexMode = duplex => DUPLEX_MODES.includes(duplex) && duplex !== 'off';
+const sheetCount = (sides, duplex) => (isDuplexMode(duplex) ? Math.ceil(sides / 2) : sides);
+
+// pages: [{ page, coverage, grayscale }] with coverage in percent (0-100), one per printed side.
+// Returns the total plus one line item per page (base charge, surcharge, copies, line total).
+// In a color job, pages detected as grayscale are charged at the B&W rate.
+// duplex: sides are printed back to back; each side of a double-sided sheet costs half the duplex price
+// (an odd last side is single-sided).
+// tierSheets: the sheet count that picks the quantity tier, when the job is more than these pages (see quoteParts)
+function quote({ paper, color, pages, copies, duplex = 'off', tierSheets = null }) {
+    copies = Math.max(1, Number(copies) || 1);
+    const totalPages = pages.length;
+    const isDuplex = isDuplexMode(duplex);
+    const totalSheets = sheetCount(totalPages, duplex);
+    const duplexSheets = isDuplex ? Math.floor(totalPages / 2) : 0;
+
+    const rates = {};
+    const rate = c => rates[c] || (rates[c] = rateFor(paper, c, tierSheets ?? totalSheets * copies));
+    const jobRate = rate(color);
+
+    const surchargeFor = db.prepare(`
+        SELECT Surcharge FROM PricingSurcharges
+        WHERE Paper_Size = ? AND Color = ? AND Min_Coverage <= ?
+        ORDER BY Min_Coverage DESC LIMIT 1
+    `);
+
+    const items = pages.map((p, i) => {
+        const chargedAs = color === 'color' && p.grayscale ? 'bw' : color;
+        const { basePrice, duplexPrice } = rate(chargedAs);
+        const doubleSided = i < duplexSheets * 2;
+        const match = p.coverage > 0 ? surchargeFor.get(paper, chargedAs, p.coverage) : null;
+        const base = doubleSided ? duplexPrice / 2 : basePrice;
+        const pageSurcharge = match ? match.Surcharge : 0;
+        return {
+            page: p.page,
+            paper,
+            coverage: p.coverage,
+            blackCoverage: p.blackCoverage,
+            colorCoverage: p.colorCoverage,
+            grayscale: !!p.grayscale,
+            chargedAs,
+            doubleSided,
+            base,
+            surcharge: pageSurcharge,
+            copies,
+            total: (base + pageSurcharge) * copies
+        };
+    });
+
+    const baseCharge = items.reduce((sum, item) => sum + item.base, 0);
+    const surcharge = items.reduce((sum, item) => sum + item.surcharge, 0);
+    const totalCost = Math.round((baseCharge + surcharge) * copies);
+
+    return {
+        totalCost,
+        version: currentVersion(),
+        basePrice: jobRate.basePrice,
+        tierMinPages: jobRate.tierMinPages,
+        duplex: isDuplex ? duplex : 'off',
+        duplexPrice: isDuplex ? jobRate.duplexPrice : null,
+        duplexSheets,
+        grayscalePages: items.filter(item => item.chargedAs !== color).length,
+        baseCharge,
+        surcharge,
+        items,
+        totalPages,
+        totalSheets,
+        copies
+    };
+}
+
+// A job split across paper sizes (see parts.js): parts = [{ paper, pages: [{ page, coverage, ... }] }].
+// Each part is quoted at its own paper's prices, but the quantity tier is picked by the sheets of the whole job,
+// so splitting a job across papers never costs more than the same sheets on one paper would reach.
+// The result has quote()'s shape with the per-paper rates left out and a parts summary added.
+function quoteParts({ parts, color, copies, duplex = 'off' }) {
+    const tierSheets = parts.reduce((total, part) => total + sheetCount(part.pages.length, duplex), 0) * Math.max(1, Number(copies) || 1);
+    const quoted = parts.map(part => ({ paper: part.paper, result: quote({ paper: part.paper, color, pages: part.pages, copies, duplex, tierSheets }) }));
+    const sum = key => quoted.reduce((total, q) => total + q.result[key], 0);
+    return {
+        totalCost: sum('totalCost'),
+        version: currentVersion(),
+        basePrice: null,
+        tierMinPages: null,
+        duplex: quoted.length ? quoted[0].result.duplex : 'off',
+        duplexPrice: null,
+        duplexSheets: sum('duplexSheets'),
+        grayscalePages: sum('grayscalePages'),
+        baseCharge: sum('baseCharge'),
+        surcharge: sum('surcharge'),
+        items: quoted.flatMap(q => q.result.items),
+        totalPages: sum('totalPages'),
+        totalSheets: sum('totalSheets'),
+        copies: Math.max(1, Number(copies) || 1),
+        parts: quoted.map(({ paper, result }) => ({
+            paper,
+            pages: result.items.map(item => item.page),
+            basePrice: result.basePrice,
+            tierMinPages: result.tierMinPages,
+            duplexPrice: result.duplexPrice,
+            duplexSheets: result.duplexSheets,
+            totalSheets: result.totalSheets,
+            totalCost: result.totalCost
+        }))
+    };
+}
+
+// A cart order: each document is quoted on its own (quote or quoteParts) with its own settings and the
+// order charges the sum. documents = [{ itemNo, file, paper, color, copies, duplex, result }].
+// Per-copy amounts differ between documents, so the order's baseCharge and surcharge include the copies.
+function quoteDocuments(documents) {
+    const sum = f => documents.reduce((total, d) => total + f(d), 0);
+    return {
+        totalCost: sum(d => d.result.totalCost),
+        version: currentVersion(),
+        basePrice: null,
+        tierMinPages: null,
+        duplex: null,
+        duplexPrice: null,
+        duplexSheets: sum(d => d.result.duplexSheets * d.result.copies),
+        grayscalePages: sum(d => d.result.grayscalePages),
+        baseCharge: sum(d => d.result.baseCharge * d.result.copies),
+        surcharge: sum(d => d.result.surcharge * d.result.copies),
+        items: documents.flatMap(d => d.result.items.map(item => ({ ...item, document: d.itemNo }))),
+        totalPages: sum(d => d.result.totalPages),
+        totalSheets: sum(d => d.result.totalSheets * d.result.copies),
+        copies: 1,
+        documents: documents.map(d => ({
+            itemNo: d.itemNo,
+            file: d.file,
+            paper: d.paper,
+            color: d.color,
+            copies: d.result.copies,
+            duplex: d.duplex,
+            pages: d.result.items.map(item => item.page),
+            totalSheets: d.result.totalSheets,
+            totalCost: d.result.totalCost,
+            parts: d.result.parts
+        }))
+    };
+}
+
+module.exports = { getRules, updateRules, quote, quoteParts, quoteDocuments, COLOR_MODES, DUPLEX_MODES };
@@ -0,0 +1,389 @@
+// printer.js - print dispatch: sends "printing" transactions to the system spooler (lp/CUPS)
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PDFDocument } = require('pdf-lib');
+const db = require('./db');
+const sessions = require('./sessions');
+const transactions = require('./transactions');
+const papers = require('./papers');
+const parts = require('./parts');
+const items = require('./items');
+const grayscale = require('./grayscale');
+const execFilePromise = promisify(execFile);
+
+// ----- Settings -----
+// The spooler commands are swappable so a fake `lp` script can stand in on a box with no printer,
+// e.g. PRINT_COMMAND=./scripts/fake-lp.sh PRINT_STATUS_COMMAND= npm start
+const PRINT_COMMAND = process.env.PRINT_COMMAND || 'lp';
+const PRINT_STATUS_COMMAND = process.env.PRINT_STATUS_COMMAND ?? 'lpstat'; // empty string = don't track completion
+const CANCEL_COMMAND = process.env.PRINT_CANCEL_COMMAND || 'cancel';
+const PRINTER_NAME = process.env.PRINTER_NAME || ''; // empty = CUPS default printer
+const MAX_ATTEMPTS = Number(process.env.PRINT_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.PRINT_RETRY_DELAY_MS) || 5000;
+const POLL_INTERVAL_MS = Number(process.env.PRINT_POLL_INTERVAL_MS) || 3000;
+const JOB_TIMEOUT_MS = Number(process.env.PRINT_JOB_TIMEOUT_MS) || 10 * 60 * 1000;
+const COMMAND_TIMEOUT_MS = 30000;
+
+// CUPS sides option per duplex setting; manual duplex prints two one-sided passes
+const SIDES = {
+    off: 'one-sided',
+    'long-edge': 'two-sided-long-edge',
+    'short-edge': 'two-sided-short-edge',
+    manual: 'one-sided'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors that should not be retried (bad job data, or the job may already have printed)
+class PrintError extends Error {
+    constructor(message, retryable = false) {
+        super(message);
+        this.name = 'PrintError';
+        this.retryable = retryable;
+    }
+}
+
+// 'queue' when the print queue changes, 'progress' { transactionId, printed, total } as pages come out
+const events = new EventEmitter();
+events.setMaxListeners(50); // one pair of listeners per open status page
+
+// ----- Queue -----
+// One worker: jobs go to the printer strictly one after another
+const queue = [];
+let running = false;
+
+function enqueue(transactionId) {
+    const id = Number(transactionId);
+    if (!Number.isInteger(id) || queue.includes(id)) return;
+    queue.push(id);
+    events.emit('queue');
+    processQueue();
+}
+
+// How many jobs will print before this one (0 = printing now), or null when it is not queued
+function jobsAhead(transactionId) {
+    const i = queue.indexOf(Number(transactionId));
+    return i < 0 ? null : i;
+}
+
+async function processQueue() {
+    if (running) return;
+    running = true;
+    while (queue.length) {
+        const id = queue[0];
+        try {
+            await printTransaction(id);
+        } catch (e) {
+            console.error('print queue error for transaction', id, e);
+        }
+        queue.shift();
+        events.emit('queue');
+    }
+    running = false;
+}
+
+// Re-queue jobs that were mid-print when the server stopped.
+// Rows with no Print_Attempts predate the dispatcher and were never meant to reach a printer.
+function resumePending() {
+    const rows = db.prepare(`
+        SELECT Transaction_Id FROM Transactions
+        WHERE Status = 'printing' AND Print_Attempts IS NOT NULL
+        ORDER BY Transaction_Id
+    `).all();
+    rows.forEach(r => enqueue(r.Transaction_Id));
+}
+
+// ----- Spooler -----
+// A manual-duplex pass file already holds the chosen pages and copies, so it goes out as is
+function buildPrintArgs(tx, pdfPath, isPass = false) {
+    const args = [];
+    if (PRINTER_NAME) args.push('-d', PRINTER_NAME);
+    args.push('-n', isPass ? '1' : String(Math.max(1, Number(tx.Copies) || 1)));
+    if (tx.Pages && !isPass) args.push('-P', String(tx.Pages).replace(/\s+/g, ''));
+    const paper = papers.get(tx.Paper_Size); // CUPS media name from the paper registry
+    if (paper && paper.media) args.push('-o', `media=${paper.media}`);
+    if (tx.Color === 'bw') {
+        args.push('-o', 'print-color-mode=monochrome', '-o', 'ColorModel=Gray');
+    } else {
+        args.push('-o', 'print-color-mode=color');
+    }
+    args.push('-o', `sides=${SIDES[tx.Duplex] || SIDES.off}`);
+    args.push('-t', `PisoPrint #${tx.Transaction_Id}`);
+    args.push('--', pdfPath);
+    return args;
+}
+
+async function submitToSpooler(tx, pdfPath, isPass = false) {
+    let stdout;
+    try {
+        ({ stdout } = await execFilePromise(PRINT_COMMAND, buildPrintArgs(tx, pdfPath, isPass), { timeout: COMMAND_TIMEOUT_MS }));
+    } catch (e) {
+        throw new PrintError(`Spooler rejected the job: ${(e.stderr || e.message || '').trim()}`, true);
+    }
+    // lp prints e.g. "request id is HP_LaserJet-42 (1 file(s))"
+    const match = /request id is (\S+)/.exec(stdout || '');
+    return match ? match[1] : null;
+}
+
+// Poll the spooler until the job leaves the not-completed list
+async function waitForCompletion(spoolJobId) {
+    if (!PRINT_STATUS_COMMAND || !spoolJobId) return;
+
+    const started = Date.now();
+    while (Date.now() - started < JOB_TIMEOUT_MS) {
+        let stdout;
+        try {
+            ({ stdout } = await execFilePromise(PRINT_STATUS_COMMAND, ['-W', 'not-completed', '-o'], { timeout: COMMAND_TIMEOUT_MS }));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                console.warn(`Print status command "${PRINT_STATUS_COMMAND}" not found; not tracking job ${spoolJobId}`);
+                return;
+            }
+            throw new PrintError(`Could not read spooler status: ${(e.stderr || e.message || '').trim()}`);
+        }
+        const pending = String(stdout || '').split('\n').some(line => line.split(/\s+/)[0] === spoolJobId);
+        if (!pending) return;
+        await sleep(POLL_INTERVAL_MS);
+    }
+    throw new PrintError(`Printer did not finish job ${spoolJobId} in time`);
+}
+
+// Withdraw a job: drop it from our queue and ask the spooler to cancel it if it was submitted
+async function cancel(transactionId) {
+    const id = Number(transactionId);
+    const waiting = queue.indexOf(id);
+    if (waiting > 0) {
+        queue.splice(waiting, 1); // index 0 is in progress; its status check stops it
+        events.emit('queue');
+    }
+
+    const tx = db.prepare('SELECT Spool_Job_Id FROM Transactions WHERE Transaction_Id = ?').get(id);
+    if (!tx || !tx.Spool_Job_Id) return;
+    try {
+        await execFilePromise(CANCEL_COMMAND, [tx.Spool_Job_Id], { timeout: COMMAND_TIMEOUT_MS });
+    } catch (e) {
+        console.warn(`Could not cancel spool job ${tx.Spool_Job_Id}:`, (e.stderr || e.message || '').trim());
+    }
+}
+
+// ----- Manual duplex -----
+// For printers that can't flip: print every front side, let the operator turn the stack over and
+// put it back in the tray, then print the back sides in reverse order. Each copy is padded to an even
+// number of sides with a blank page so the backs stay aligned with their fronts.
+async function buildPassFile(tx, pdfPath, stage) {
+    const source = await PDFDocument.load(await fs.promises.readFile(pdfPath));
+    const count = source.getPageCount();
+    const selected = String(tx.Pages || '').split(',').map(Number).filter(n => n >= 1 && n <= count);
+    const sides = selected.length ? selected : Array.from({ length: count }, (_, i) => i + 1);
+    if (sides.length % 2) sides.push(null); // blank back for the last sheet
+
+    let order = [];
+    for (let c = 0; c < Math.max(1, Number(tx.Copies) || 1); c++) {
+        order.push(...sides.filter((_, i) => (stage === 'front' ? i % 2 === 0 : i % 2 === 1)));
+    }
+    if (stage === 'back') order = order.reverse();
+
+    const pass = await PDFDocument.create();
+    const { width, height } = source.getPage(0).getSize();
+    for (const n of order) {
+        if (n === null) {
+            pass.addPage([width, height]);
+        } else {
+            const [page] = await pass.copyPages(source, [n - 1]);
+            pass.addPage(page);
+        }
+    }
+    const passPath = pdfPath.replace(/\.pdf$/, `_${stage}.pdf`);
+    await fs.promises.writeFile(passPath, await pass.save());
+    return passPath;
+}
+
+// The front pass is out: hold the job until an operator confirms the stack is turned over
+function awaitFlip(id) {
+    const current = db.prepare('SELECT Status FROM Transactions WHERE Transaction_Id = ?').get(id);
+    if (!current || current.Status !== 'printing') return; // cancelled by an operator meanwhile
+    setPrintState(id, { Print_Stage: 'flip', Spool_Job_Id: null });
+    transactions.recordEvent(id, 'printing', 'printing', { actor: 'printer', note: 'Front sides printed; waiting for the paper to be flipped' });
+    console.log(`Transaction ${id}: front sides printed, waiting for the operator to flip the paper`);
+}
+
+// Operator confirmed the flip: print the back sides
+function continueDuplex(transactionId) {
+    const id = Number(transactionId);
+    const tx = db.prepare('SELECT Status, Print_Stage FROM Transactions WHERE Transaction_Id = ?').get(id);
+    if (!tx || tx.Status !== 'printing' || tx.Print_Stage !== 'flip') {
+        throw new PrintError('This job is not waiting for the paper to be flipped.');
+    }
+    setPrintState(id, { Print_Stage: 'back', Spool_Job_Id: null, Print_Attempts: 0, Print_Error: null });
+    enqueue(id);
+}
+
+// ----- Progress -----
+// CUPS does not report pages as they come out, so a transaction's count moves on as each spooler job
+// (a document, a paper part) finishes. Pages are printed sides times copies.
+const progress = new Map(); // transaction id -> { printed, total }
+
+const pagesOf = job => parts.pageList(job.Pages).length * Math.max(1, Number(job.Copies) || 1);
+
+// Every page a transaction prints, across its documents
+const totalPages = tx => items.jobsOf(tx).reduce((sum, job) => sum + pagesOf(job), 0);
+
+function setProgress(id, printed, total) {
+    progress.set(id, { printed, total });
+    events.emit('progress', { transactionId: id, printed, total });
+}
+
+// { printed, total } of a transaction being printed, or null
+const getProgress = transactionId => progress.get(Number(transactionId)) || null;
+
+// ----- Dispatch -----
+function setPrintState(id, fields) {
+    const keys = Object.keys(fields);
+    db.prepare(`UPDATE Transactions SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE Transaction_Id = ?`)
+        .run(...keys.map(k => fields[k]), id);
+}
+
+// Printed: record it and archive the job's files for reprints
+async function complete(tx) {
+    const current = db.prepare('SELECT Status, Spool_Job_Id FROM Transactions WHERE Transaction_Id = ?').get(tx.Transaction_Id);
+    if (!current || current.Status !== 'printing') return; // cancelled by an operator meanwhile
+    setPrintState(tx.Transaction_Id, { Print_Error: null });
+    transactions.transition(tx.Transaction_Id, 'completed', {
+        actor: 'printer',
+        note: current.Spool_Job_Id ? `Spool job ${current.Spool_Job_Id}` : null
+    });
+    await sessions.archiveJob(tx);
+}
+
+// B&W jobs print the grayscale conversion, not the color PDF with a driver hint
+async function printableFile(tx, pdfPath) {
+    return tx.Color === 'bw' ? grayscale.ensurePdf(pdfPath) : pdfPath;
+}
+
+// Hand a file to the spooler, retrying spooler errors. Records and returns the spool job id.
+async function submit(tx, printPath, isPass, label) {
+    const id = tx.Transaction_Id;
+    let attempts = Number(tx.Print_Attempts) || 0;
+    for (;;) {
+        attempts++;
+        try {
+            const spoolJobId = await submitToSpooler(tx, printPath, isPass);
+            setPrintState(id, { Spool_Job_Id: spoolJobId, Print_Attempts: attempts, Print_Error: null });
+            console.log(`Transaction ${id}${label ? ` (${label})` : ''} sent to printer as job ${spoolJobId || '(untracked)'}`);
+            return spoolJobId;
+        } catch (e) {
+            setPrintState(id, { Print_Attempts: attempts, Print_Error: e.message });
+            if (!e.retryable || attempts >= MAX_ATTEMPTS) throw e;
+            console.warn(`Print attempt ${attempts} for transaction ${id} failed, retrying:`, e.message);
+            await sleep(RETRY_DELAY_MS);
+        }
+    }
+}
+
+// Best match per page: each part is its own spooler job on its own paper, one after another.
+// Spool_Job_Id holds the part in progress, so after a restart that part is waited for, not sent again.
+// Returns false when the job was cancelled meanwhile. onPrinted gets the pages of the job printed so far.
+async function printParts(tx, label, onPrinted) {
+    const id = tx.Transaction_Id;
+    const partPages = part => pagesOf({ Pages: part.pages, Copies: tx.Copies });
+    const jobParts = parts.list(id, tx.Item_Id);
+    let printed = jobParts.filter(p => p.status === 'printed').reduce((sum, p) => sum + partPages(p), 0);
+    for (const part of jobParts.filter(p => p.status !== 'printed')) {
+        const current = db.prepare('SELECT Status, Spool_Job_Id, Print_Attempts FROM Transactions WHERE Transaction_Id = ?').get(id);
+        if (!current || current.Status !== 'printing') return false; // cancelled by an operator meanwhile
+
+        let spoolJobId = current.Spool_Job_Id;
+        if (!spoolJobId) {
+            const partTx = { ...tx, Paper_Size: part.paper, Pages: part.pages, Print_Attempts: current.Print_Attempts };
+            const { pdfPath } = sessions.locateJobFiles(partTx);
+            if (!fs.existsSync(pdfPath)) throw new PrintError(`Print file not found: ${path.basename(pdfPath)}`);
+            spoolJobId = await submit(partTx, await printableFile(tx, pdfPath), false, joinLabel(label, `part ${part.partNo}, ${part.paper}`));
+        }
+        await waitForCompletion(spoolJobId);
+        parts.markPrinted(part.id, spoolJobId);
+        setPrintState(id, { Spool_Job_Id: null, Print_Attempts: 0 });
+        printed += partPages(part);
+        onPrinted(printed);
+    }
+    return true;
+}
+
+const joinLabel = (...labels) => labels.filter(Boolean).join(', ') || null;
+
+// Print one document of a transaction (see items.jobsOf). Returns true once it is printed,
+// false when it stops early: cancelled, or a manual front pass waiting for the paper to be flipped.
+async function printJob(job, label, onPrinted) {
+    const id = job.Transaction_Id;
+    // the print state moves while printing, so read it fresh for every document
+    const state = db.prepare('SELECT Status, Spool_Job_Id, Print_Attempts, Print_Stage FROM Transactions WHERE Transaction_Id = ?').get(id);
+    if (!state || state.Status !== 'printing') return false;
+    const tx = { ...job, ...state };
+
+    const manual = tx.Duplex === 'manual';
+    const stage = manual ? (tx.Print_Stage || 'front') : null;
+    if (stage === 'flip') return false; // waiting for the operator (continueDuplex re-queues it)
+
+    if (tx.Paper_Size === parts.AUTO) return printParts(tx, label, onPrinted);
+
+    // Already handed to the spooler before a restart: just wait for it
+    if (tx.Spool_Job_Id) {
+        await waitForCompletion(tx.Spool_Job_Id);
+    } else {
+        const { pdfPath } = sessions.locateJobFiles(tx);
+        if (!fs.existsSync(pdfPath)) throw new PrintError(`Print file not found: ${path.basename(pdfPath)}`);
+        if (manual) setPrintState(id, { Print_Stage: stage });
+        const source = await printableFile(tx, pdfPath);
+        const printPath = manual ? await buildPassFile(tx, source, stage) : source;
+
+        const spoolJobId = await submit(tx, printPath, manual, joinLabel(label, stage && `${stage} sides`));
+        await waitForCompletion(spoolJobId);
+    }
+
+    // Done with this submission: a manual front pass waits for the flip
+    if (stage === 'front') {
+        awaitFlip(id);
+        return false;
+    }
+    return true;
+}
+
+// A cart prints its documents in order; after a restart or a flip, printed documents are skipped
+async function printTransaction(id) {
+    const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(id);
+    if (!tx || tx.Status !== 'printing') return;
+
+    try {
+        const jobs = items.jobsOf(tx);
+        const total = jobs.reduce((sum, job) => sum + pagesOf(job), 0);
+        let printed = jobs.filter(j => j.Item_Status === 'printed').reduce((sum, job) => sum + pagesOf(job), 0);
+        setProgress(id, printed, total);
+        for (const job of jobs.filter(j => j.Item_Status !== 'printed')) {
+            const done = await printJob(job, jobs.length > 1 ? `document ${job.Item_No}` : null, n => setProgress(id, printed + n, total));
+            if (!done) return;
+            printed += pagesOf(job);
+            setProgress(id, printed, total);
+            if (!job.Item_Id) continue;
+            db.transaction(() => {
+                const { Spool_Job_Id } = db.prepare('SELECT Spool_Job_Id FROM Transactions WHERE Transaction_Id = ?').get(id);
+                items.markPrinted(job.Item_Id, Spool_Job_Id);
+                // the next document starts a fresh spooler submission
+                if (job !== jobs[jobs.length - 1]) setPrintState(id, { Spool_Job_Id: null, Print_Attempts: 0, Print_Stage: null });
+            })();
+        }
+        await complete(tx);
+        progress.delete(id);
+    } catch (e) {
+        progress.delete(id);
+        console.error(`Printing transaction ${id} failed:`, e.message);
+        setPrintState(id, { Print_Error: e.message });
+        const current = db.prepare('SELECT Status FROM Transactions WHERE Transaction_Id = ?').get(id);
+        if (current && current.Status === 'printing') {
+            transactions.transition(id, 'failed', { actor: 'printer', note: e.message });
+        }
+    }
+}
+
+module.exports = { enqueue, jobsAhead, getProgress, totalPages, cancel, continueDuplex, resumePending, events, PrintError };
@@ -14,10 +14,29 @@ document.addEventListener("DOMContentLoaded", () => {
     const paperSelect = document.getElementById("paperSize");
     const clearButton = document.getElementById("clearBtn");
     const proceedBtn = document.getElementById("proceedBtn");
+    const imageOptions = document.getElementById("imageOptions");
+    const imageFitSelect = document.getElementById("imageFit");
+    const imagesPerPageSelect = document.getElementById("imagesPerPage");
+    const scalingSelect = document.getElementById("scaling");
+    const marginInput = document.getElementById("marginMm");
+    const autoRotateCheckbox = document.getElementById("autoRotate");
+    const pagesPerSheetSelect = document.getElementById("pagesPerSheet");
+    const duplexSelect = document.getElementById("duplex");
+    const progress = document.getElementById("progress");
+    const pageEditor = document.getElementById("pageEditor");
+    const pageStrip = document.getElementById("pageStrip");
+    const applyEditsBtn = document.getElementById("applyEditsBtn");
+    const resetEditsBtn = document.getElementById("resetEditsBtn");
+    const addToCartBtn = document.getElementById("addToCartBtn");
+    const cartBox = document.getElementById("cart");
+    const cartList = document.getElementById("cartList");
+    const codeBtn = document.getElementById("codeBtn");
+    const claimForm = document.getElementById("claimForm");
+    const jobCodeInput = document.getElementById("jobCode");
 
     // Elements to control for the disabled state
     const settingsElements = [
-        pageMode, copiesInput, colorSelect, paperSelect, proceedBtn
+        pageMode, copiesInput, colorSelect, paperSelect, duplexSelect, scalingSelect, pagesPerSheetSelect, marginInput, autoRotateCheckbox, proceedBtn, addToCartBtn, codeBtn
     ];
 
     // =========================
@@ -25,7 +44,26 @@ document.addEventListener("DOMContentLoaded", () => {
     // =========================
     let lastUploadedBaseName = null;
     let totalPages = 0;
-    let allPagesImages = { letter: [], legal: [] };
+    let allPagesImages = {}; // paper -> preview urls
+    let pageInfo = []; // per document page: size, orientation and best-matching paper (from the upload)
+    let mixedSizes = false;
+    let uploadedPages = 0; // pages in the document as uploaded
+    let appliedEdits = []; // page order + rotation the previews show: [{ source, rotate }]
+    let pendingEdits = []; // what the page strip shows, sent on "Apply page changes"
+    let cart = []; // documents added with "Add to cart": their /transaction/create fields plus a name to show
+
+    // What to tell the customer for each renderer error code (see renderer.js)
+    const ERROR_MESSAGES = {
+        "too-large": "This file is too big to print here. Try a smaller file or fewer images.",
+        "too-many-pages": "This document has too many pages. Split it into smaller parts and upload them one at a time.",
+        "not-pdf": "This file is not a valid PDF. Save it as PDF again and retry.",
+        "encrypted": "This PDF is password-protected. Remove the password and upload it again.",
+        "unreadable": "This PDF is damaged and cannot be read. Save it again and retry.",
+        "timeout": "This document takes too long to prepare. Try printing fewer pages or a simpler file.",
+        "render-failed": "This document could not be prepared for printing. Save it again and retry.",
+        "disk-full": "The kiosk is out of storage space. Please ask the attendant for help."
+    };
+    const errorMessage = (error, fallback) => ERROR_MESSAGES[error.code] || error.message || fallback;
 
     // =========================
     // HELPER: CONTROL SETTINGS STATE
@@ -36,12 +74,24 @@ document.addEventListener("DOMContentLoaded", () => {
             el.disabled = isDisabled;
         });
         
+        // A booklet is always printed whole
+        const isBooklet = pagesPerSheetSelect.value === "booklet";
+        if (isBooklet) {
+            pageMode.value = "all";
+            // booklets are double-sided, flipped on the short edge
+            if (!["short-edge", "manual"].includes(duplexSelect.value)) duplexSelect.value = "short-edge";
+        }
+        pageMode.disabled = isDisabled || isBooklet;
+
         // Special case for pagesInput: it's only enabled if pageMode is 'custom' AND the whole settings block is enabled
         const isCustom = pageMode.value === "custom";
         pagesInput.disabled = isDisabled || !isCustom;
+        customWrapper.classList.toggle("show", isCustom);
         
         // Clear button is enabled only if there's an uploaded file
         clearButton.disabled = isDisabled || !lastUploadedBaseName;
+        // A filled cart can be paid for without uploading another document
+        if (!lastUploadedBaseName && cart.length) proceedBtn.disabled = codeBtn.disabled = false;
     }
 
     // =========================
@@ -68,9 +118,17 @@ document.addEventListener("DOMContentLoaded", () => {
     async function resetForm() {
         form.reset();
         preview.innerHTML = "";
+        imageOptions.classList.remove("show");
 
         totalPages = 0;
-        allPagesImages = { letter: [], legal: [] };
+        allPagesImages = {};
+        pageInfo = [];
+        mixedSizes = false;
+        setAutoPaperOption(false);
+        uploadedPages = 0;
+        appliedEdits = [];
+        pendingEdits = [];
+        renderPageStrip();
         
         // Disable settings and clear pageInput explicitly
         setSettingsDisabledState(true);
@@ -143,6 +201,44 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
 
+    // =========================
+    // PAPER SIZES
+    // =========================
+    // The sizes this kiosk offers come from the server's paper registry
+    async function loadPapers() {
+        try {
+            const result = await (await fetch("/papers")).json();
+            if (!result.success || !result.papers.length) return;
+
+            const current = paperSelect.value;
+            paperSelect.innerHTML = "";
+            result.papers.forEach(paper => {
+                const option = new Option(paper.label, paper.name);
+                paperSelect.appendChild(option);
+            });
+            // keep Letter (or the first size) as the default that form.reset() returns to
+            const preferred = [...paperSelect.options].find(o => o.value === current) || paperSelect.options[0];
+            preferred.defaultSelected = preferred.selected = true;
+        } catch (err) {
+            console.error("Could not load paper sizes:", err);
+        }
+    }
+    loadPapers();
+
+    // A document with pages of different sizes can print each page on the paper it fits best.
+    // Only offered for one page per sheet: N-up and booklets put several pages on one sheet.
+    const AUTO_PAPER = "auto";
+    function setAutoPaperOption(available) {
+        const existing = [...paperSelect.options].find(o => o.value === AUTO_PAPER);
+        if (available && !existing) {
+            paperSelect.insertBefore(new Option("Best match per page", AUTO_PAPER), paperSelect.firstChild);
+        } else if (!available && existing) {
+            const wasSelected = existing.selected;
+            existing.remove();
+            if (wasSelected) paperSelect.value = [...paperSelect.options].find(o => o.defaultSelected)?.value || paperSelect.options[0].value;
+        }
+    }
+
     // =========================
     // PREVIEW RENDERING
     // =========================
@@ -175,6 +271,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     function updatePreview() {
+        renderPageStrip();
         if (!totalPages) return;
 
         const selectedPages = getSelectedPages();
@@ -184,34 +281,308 @@ document.addEventListener("DOMContentLoaded", () => {
             return;
         }
 
-        const currentPaper = paperSelect.value;
-        const colorMode = colorSelect.value;
+        renderPreview(currentImages(), selectedPages, colorSelect.value);
+    }
+
+    // Preview images of the chosen paper (best match per page: every page on its own paper)
+    function currentImages() {
+        if (paperSelect.value === AUTO_PAPER) return pageInfo.map((page, i) => allPagesImages[page.bestPaper]?.[i]);
+        return allPagesImages[paperSelect.value] || [];
+    }
+
+    // The papers the preview shows (best match per page: each page's own paper)
+    function shownPapers() {
+        if (paperSelect.value === AUTO_PAPER) return [...new Set(pageInfo.map(page => page.bestPaper))];
+        return [paperSelect.value];
+    }
+
+    // The server lays a document out only on the papers asked for: render the others when the customer picks them
+    async function renderMissingPapers() {
+        const missing = shownPapers().filter(paper => !allPagesImages[paper]);
+        if (!lastUploadedBaseName || !missing.length) return;
 
-        renderPreview(allPagesImages[currentPaper], selectedPages, colorMode);
+        const response = await fetch("/render-paper", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ baseName: lastUploadedBaseName, papers: missing.join(",") })
+        });
+        const started = await response.json();
+        if (!started.success) throw new Error(started.message || "Could not prepare this paper size.");
+        const result = await followJob(started.jobId);
+        Object.assign(allPagesImages, result.images);
     }
 
     // Live update handlers
     [pagesInput, copiesInput].forEach(el => el.addEventListener("input", updatePreview));
-    [colorSelect, paperSelect].forEach(el => el.addEventListener("change", updatePreview));
+    colorSelect.addEventListener("change", updatePreview);
+    paperSelect.addEventListener("change", async () => {
+        if (!lastUploadedBaseName) return updatePreview();
+
+        setSettingsDisabledState(true);
+        try {
+            await renderMissingPapers();
+        } catch (err) {
+            console.error(err);
+            alert(errorMessage(err, "Could not prepare this paper size."));
+        } finally {
+            setSettingsDisabledState(false);
+            updatePreview();
+        }
+    });
+
+    // =========================
+    // PAGE EDITOR
+    // =========================
+    // The strip edits pendingEdits locally; "Apply page changes" rebuilds the document on the server,
+    // which re-renders only the pages that changed. Previews are pages only with one page per sheet.
+    const identityEdits = count => Array.from({ length: count }, (_, i) => ({ source: i + 1, rotate: 0 }));
+    const sameEdits = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    let dragIndex = null;
+
+    function renderPageStrip() {
+        const available = !!lastUploadedBaseName && pagesPerSheetSelect.value === "1" && appliedEdits.length > 0;
+        pageEditor.classList.toggle("show", available);
+        pageStrip.innerHTML = "";
+        if (!available) return;
+
+        const images = currentImages();
+        pendingEdits.forEach((edit, i) => {
+            // shown with the preview of the same uploaded page, turned by what is not applied yet
+            const shown = appliedEdits.findIndex(a => a.source === edit.source);
+            const item = document.createElement("div");
+            item.className = "page-item";
+            item.draggable = true;
+            item.innerHTML = `
+                <div class="thumb-box">${shown >= 0 && images[shown]
+                    ? `<img src="${images[shown]}" style="transform: rotate(${edit.rotate - appliedEdits[shown].rotate}deg)" alt="Page ${edit.source}">`
+                    : `<span>Page ${edit.source}</span>`}</div>
+                <div>${i + 1}${edit.source !== i + 1 ? ` <small>(was ${edit.source})</small>` : ""}</div>
+                <div class="page-actions">
+                    <button type="button" data-action="left" title="Turn left">⟲</button>
+                    <button type="button" data-action="right" title="Turn right">⟳</button>
+                    <button type="button" data-action="duplicate" title="Duplicate">⧉</button>
+                    <button type="button" data-action="delete" title="Remove" ${pendingEdits.length < 2 ? "disabled" : ""}>✕</button>
+                </div>`;
+
+            item.addEventListener("dragstart", () => {
+                dragIndex = i;
+                item.classList.add("dragging");
+            });
+            item.addEventListener("dragend", () => item.classList.remove("dragging"));
+            item.addEventListener("dragover", e => e.preventDefault());
+            item.addEventListener("drop", e => {
+                e.preventDefault();
+                if (dragIndex === null || dragIndex === i) return;
+                const [moved] = pendingEdits.splice(dragIndex, 1);
+                pendingEdits.splice(i, 0, moved);
+                dragIndex = null;
+                renderPageStrip();
+            });
+            item.querySelector(".page-actions").addEventListener("click", e => {
+                const action = e.target.dataset.action;
+                if (action === "left") edit.rotate = (edit.rotate + 270) % 360;
+                if (action === "right") edit.rotate = (edit.rotate + 90) % 360;
+                if (action === "duplicate") pendingEdits.splice(i + 1, 0, { ...edit });
+                if (action === "delete" && pendingEdits.length > 1) pendingEdits.splice(i, 1);
+                if (action) renderPageStrip();
+            });
+            pageStrip.appendChild(item);
+        });
+
+        applyEditsBtn.disabled = sameEdits(pendingEdits, appliedEdits);
+        resetEditsBtn.disabled = sameEdits(pendingEdits, identityEdits(uploadedPages));
+    }
+
+    resetEditsBtn.addEventListener("click", () => {
+        pendingEdits = identityEdits(uploadedPages);
+        renderPageStrip();
+    });
+
+    applyEditsBtn.addEventListener("click", async () => {
+        if (!lastUploadedBaseName) return;
+
+        setSettingsDisabledState(true);
+        applyEditsBtn.disabled = resetEditsBtn.disabled = true;
+        try {
+            const response = await fetch("/edit-pages", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ baseName: lastUploadedBaseName, pages: pendingEdits, papers: shownPapers().join(",") })
+            });
+            const started = await response.json();
+            if (!started.success) return alert(errorMessage(started, "Could not change the pages."));
+            const result = await followJob(started.jobId);
+
+            handlePreviewImages(result.images, result.totalPages);
+            pageInfo = result.pages || [];
+            mixedSizes = !!result.mixedSizes;
+            setAutoPaperOption(mixedSizes && pagesPerSheetSelect.value === "1");
+            appliedEdits = result.edits;
+            pendingEdits = appliedEdits.map(e => ({ ...e }));
+            await renderMissingPapers(); // the pages may now fit other papers best
+        } catch (err) {
+            console.error(err);
+            alert(errorMessage(err, "Could not change the pages."));
+        } finally {
+            setSettingsDisabledState(false);
+            updatePreview();
+        }
+    });
+
+    // =========================
+    // LAYOUT (SCALING / PAGES PER SHEET / MARGIN / ROTATION)
+    // =========================
+    function getLayout() {
+        return {
+            scaling: scalingSelect.value,
+            pagesPerSheet: pagesPerSheetSelect.value,
+            marginMm: marginInput.value || "0",
+            autoRotate: String(autoRotateCheckbox.checked)
+        };
+    }
+
+    // Layout changes re-render the already uploaded document on the server
+    async function rerender() {
+        if (!lastUploadedBaseName) return;
+
+        setSettingsDisabledState(true);
+        try {
+            const response = await fetch("/rerender", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ baseName: lastUploadedBaseName, ...getLayout(), papers: shownPapers().join(",") })
+            });
+            const started = await response.json();
+            if (!started.success) return alert(started.message || "Could not apply the layout.");
+            const result = await followJob(started.jobId);
+
+            // N-up changes how many sheets there are
+            handlePreviewImages(result.images, result.totalPages);
+            setAutoPaperOption(mixedSizes && pagesPerSheetSelect.value === "1");
+            await renderMissingPapers(); // without best match per page the selection falls back to a single paper
+        } catch (err) {
+            console.error(err);
+            alert(err.message || "Layout error.");
+        } finally {
+            setSettingsDisabledState(false);
+            updatePreview();
+        }
+    }
+
+    [scalingSelect, pagesPerSheetSelect, marginInput, autoRotateCheckbox].forEach(el => el.addEventListener("change", rerender));
+
+    // =========================
+    // CONVERSION JOBS
+    // =========================
+    // Thumbnails of the paper being rendered, as they arrive
+    function showProgress(state) {
+        if (state.stage === "render") {
+            progress.textContent = `Rendering ${state.paper} pages: ${state.rendered} / ${state.total}`;
+        } else {
+            progress.textContent = state.stage === "convert" ? "Converting document..." : "Preparing pages...";
+        }
+
+        preview.innerHTML = "";
+        (state.images[state.paper] || []).filter(Boolean).forEach(src => {
+            const img = document.createElement("img");
+            img.src = src;
+            preview.appendChild(img);
+        });
+    }
+
+    // Follow a background conversion over SSE (polling if the stream drops). Resolves with the job result.
+    function followJob(jobId) {
+        return new Promise((resolve, reject) => {
+            let state = { images: {} };
+            let finished = false;
+
+            function finish(error, result) {
+                if (finished) return;
+                finished = true;
+                progress.textContent = "";
+                if (error) reject(Object.assign(new Error(errorMessage(error, "Conversion failed.")), { code: error.code }));
+                else resolve(result);
+            }
+
+            // a full snapshot: SSE "state" / "progress", or a poll
+            function applySnapshot(snapshot) {
+                state = snapshot;
+                if (snapshot.status === "done") return finish(null, snapshot.result);
+                if (snapshot.status === "failed") return finish(snapshot.error || {});
+                showProgress(state);
+            }
+
+            async function poll() {
+                if (finished) return;
+                try {
+                    const result = await (await fetch(`/jobs/${jobId}`)).json();
+                    if (!result.success) return finish({ message: result.message });
+                    applySnapshot(result.job);
+                } catch (err) {
+                    console.error("Job poll error:", err);
+                }
+                setTimeout(poll, 1000);
+            }
+
+            if (!window.EventSource) return poll();
+            const stream = new EventSource(`/jobs/${jobId}/events`);
+            stream.addEventListener("state", e => applySnapshot(JSON.parse(e.data)));
+            stream.addEventListener("progress", e => applySnapshot(JSON.parse(e.data)));
+            stream.addEventListener("page", e => {
+                const { paper, page, url, rendered, total } = JSON.parse(e.data);
+                (state.images[paper] = state.images[paper] || [])[page - 1] = url;
+                Object.assign(state, { paper, rendered, total });
+                showProgress(state);
+            });
+            stream.addEventListener("done", e => {
+                stream.close();
+                finish(null, JSON.parse(e.data));
+            });
+            stream.addEventListener("failed", e => {
+                stream.close();
+                finish(JSON.parse(e.data));
+            });
+            stream.onerror = () => {
+                stream.close();
+                poll();
+            };
+        });
+    }
 
     // =========================
     // FILE UPLOAD HANDLER
     // =========================
+    const isImage = file => /^image\/(jpeg|png)$/.test(file.type) || /\.(jpe?g|png)$/i.test(file.name);
+
+    // Image layout options only matter when every picked file is an image
+    fileInput.addEventListener("change", () => {
+        const files = [...fileInput.files];
+        imageOptions.classList.toggle("show", files.length > 0 && files.every(isImage));
+    });
+
     form.addEventListener("submit", async e => {
         e.preventDefault();
 
-        const file = fileInput.files[0];
-        if (!file) return alert("Please select a PDF.");
+        const files = [...fileInput.files];
+        if (!files.length) return alert("Please select a file.");
+        if (files.length > 1 && !files.every(isImage)) return alert("Only images can be uploaded several at a time.");
 
         const formData = new FormData();
-        formData.append("pdfFile", file);
-
+        // options first: the server reads them before the files arrive
+        formData.append("imageFit", imageFitSelect.value);
+        formData.append("imagesPerPage", imagesPerPageSelect.value);
+        Object.entries(getLayout()).forEach(([key, value]) => formData.append(key, value));
+        formData.append("keep", cart.map(doc => doc.File_Path).join(","));
+        formData.append("papers", paperSelect.value); // the server also renders the size it suggests for the document
+        files.forEach(file => formData.append("pdfFile", file));
+
+        uploadButton.disabled = true; // one conversion at a time
         try {
             const response = await fetch("/upload", { method: "POST", body: formData });
-            const result = await response.json();
-
-            if (!result.success) return alert(result.message || "Upload failed.");
+            const started = await response.json();
+            if (!started.success) return alert(errorMessage(started, "Upload failed."));
 
+            const result = await followJob(started.jobId);
             lastUploadedBaseName = result.baseName;
             
             // 💡 FIX: Pass result.totalPages to the handler
@@ -219,38 +590,115 @@ document.addEventListener("DOMContentLoaded", () => {
             
             setSettingsDisabledState(false); 
 
-            if (["letter", "legal"].includes(result.originalSize)) {
+            pageInfo = result.pages || [];
+            mixedSizes = !!result.mixedSizes;
+            setAutoPaperOption(mixedSizes && pagesPerSheetSelect.value === "1");
+            uploadedPages = result.sourcePages;
+            appliedEdits = identityEdits(uploadedPages);
+            pendingEdits = identityEdits(uploadedPages);
+            if ([...paperSelect.options].some(o => o.value === AUTO_PAPER)) {
+                paperSelect.value = AUTO_PAPER;
+            } else if ([...paperSelect.options].some(o => o.value === result.originalSize)) {
                 paperSelect.value = result.originalSize;
             }
 
             updatePreview();
         } catch (err) {
             console.error(err);
-            alert("Upload error.");
+            preview.innerHTML = "";
+            alert(err.message || "Upload error.");
+        } finally {
+            uploadButton.disabled = false;
         }
     });
 
     // =========================
-    // PROCEED BUTTON
+    // CART
     // =========================
-    proceedBtn.addEventListener("click", async () => {
-        if (!lastUploadedBaseName) return alert("Upload a PDF first.");
-
+    // The current document with its settings, as /transaction/create takes it (null when no pages are selected)
+    function currentDocument() {
         const selectedPages = getSelectedPages();
-        // The check remains, but now totalPages should be correct
-        if (!selectedPages.length) return alert("Select pages first."); 
-
-        const data = {
-            Date: new Date().toISOString(),
-            Amount: 0,
+        if (!selectedPages.length) return null;
+        return {
             Color: colorSelect.value,
             Pages: selectedPages.join(","),
             Copies: copiesInput.value,
             Paper_Size: paperSelect.value,
+            Duplex: duplexSelect.value,
             File_Path: lastUploadedBaseName,
-            File_Size: "0",
-            Status: "pending"
+            File_Size: "0"
         };
+    }
+
+    function renderCart() {
+        cartBox.classList.toggle("show", cart.length > 0);
+        cartList.innerHTML = "";
+        cart.forEach((doc, i) => {
+            const item = document.createElement("li");
+            const paper = doc.Paper_Size === AUTO_PAPER ? "best match per page" : doc.Paper_Size;
+            item.textContent = `${doc.name}: ${doc.Color === "bw" ? "B&W" : "color"}, ${paper}, pages ${doc.Pages} × ${doc.Copies}`;
+
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.textContent = "Remove";
+            remove.addEventListener("click", async () => {
+                cart.splice(i, 1);
+                renderCart();
+                setSettingsDisabledState(!lastUploadedBaseName);
+                try {
+                    await fetch(`/delete-last/${doc.File_Path}`, { method: "DELETE" });
+                } catch (err) {
+                    console.error("Delete error:", err);
+                }
+            });
+            item.appendChild(remove);
+            cartList.appendChild(item);
+        });
+    }
+
+    // Keep the current document and its settings for this order, then start on the next one
+    addToCartBtn.addEventListener("click", () => {
+        if (!lastUploadedBaseName) return alert("Upload a document first.");
+        const doc = currentDocument();
+        if (!doc) return alert("Select pages first.");
+
+        const name = [...fileInput.files].map(f => f.name).join(", ") || `Document ${cart.length + 1}`;
+        cart.push({ ...doc, name });
+        lastUploadedBaseName = null; // its files stay: resetForm only deletes an upload that is not in the cart
+        renderCart();
+        resetForm();
+    });
+
+    // =========================
+    // PROCEED BUTTON
+    // =========================
+    // The cost page for a transaction's documents (a cart's details come with its quote)
+    function costPageUrl(id, documents) {
+        if (documents.length > 1) return `/cost.html?id=${id}&documents=${documents.length}`;
+        const [doc] = documents;
+        return `/cost.html?id=${id}&pages=${doc.Pages}&copies=${doc.Copies}` +
+            `&color=${doc.Color}&paper=${doc.Paper_Size}&baseName=${doc.File_Path}`;
+    }
+
+    // Create the order: the cart in the order it was filled, then the document on screen.
+    // Resolves with { id, documents }, or null when nothing was created.
+    async function createTransaction() {
+        if (!lastUploadedBaseName && !cart.length) {
+            alert("Upload a document first.");
+            return null;
+        }
+
+        const current = lastUploadedBaseName ? currentDocument() : null;
+        // The check remains, but now totalPages should be correct
+        if (lastUploadedBaseName && !current) {
+            alert("Select pages first.");
+            return null;
+        }
+
+        const documents = [...cart.map(({ name, ...doc }) => doc), ...(current ? [current] : [])];
+        const data = documents.length > 1
+            ? { Date: new Date().toISOString(), Items: documents }
+            : { Date: new Date().toISOString(), Amount: 0, Status: "pending", ...documents[0] };
 
         try {
             const response = await fetch("/transaction/create", {
@@ -260,16 +708,50 @@ document.addEventListener("DOMContentLoaded", () => {
             });
 
             const result = await response.json();
-            if (!result.success) return alert(result.message || "Transaction failed.");
+            if (!result.success) {
+                alert(result.message || "Transaction failed.");
+                return null;
+            }
+            return { id: result.id, documents };
+        } catch (err) {
+            console.error(err);
+            alert("Error creating transaction.");
+            return null;
+        }
+    }
 
-            const query =
-                `?id=${result.id}&pages=${data.Pages}&copies=${data.Copies}` +
-                `&color=${data.Color}&paper=${data.Paper_Size}&baseName=${data.File_Path}`;
+    proceedBtn.addEventListener("click", async () => {
+        const created = await createTransaction();
+        if (created) window.location.href = costPageUrl(created.id, created.documents);
+    });
+
+    // =========================
+    // JOB CODES (PHONE -> KIOSK)
+    // =========================
+    // On a phone: set the job up here, then pay for and print it at the kiosk with a short code
+    codeBtn.addEventListener("click", async () => {
+        const created = await createTransaction();
+        if (created) window.location.href = `/code.html?id=${created.id}`;
+    });
 
-            window.location.href = `/cost.html${query}`;
+    // At the kiosk: the code opens that job's cost page here
+    claimForm.addEventListener("submit", async e => {
+        e.preventDefault();
+        const code = jobCodeInput.value.trim();
+        if (!code) return alert("Type the job code shown on your phone.");
+
+        try {
+            const response = await fetch("/job-code/claim", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ code })
+            });
+            const result = await response.json();
+            if (!result.success) return alert(result.message || "Could not open this job.");
+            window.location.href = costPageUrl(result.id, result.documents);
         } catch (err) {
             console.error(err);
-            alert("Error creating transaction.");
+            alert("Could not open this job.");
         }
     });
 }); // End of DOMContentLoaded listener
\ No newline at end of file
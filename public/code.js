@@ -0,0 +1,25 @@
+// Read values from URL
+const params = new URLSearchParams(window.location.search);
+const id = params.get("id");
+
+// Ask the server for this transaction's job code (the same code again on reload)
+async function showCode() {
+    const response = await fetch("/job-code", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+        document.getElementById("code").innerText = "—";
+        document.getElementById("expires").innerText = result.message || "Could not get a job code.";
+        return;
+    }
+
+    // shown in two halves so it is easier to read out and type
+    document.getElementById("code").innerText = `${result.code.slice(0, 3)} ${result.code.slice(3)}`;
+    document.getElementById("expires").innerText =
+        `Valid until ${new Date(result.expiresAt).toLocaleTimeString()}. After that the job is removed.`;
+}
+showCode();
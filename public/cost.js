@@ -6,21 +6,32 @@ const copies = params.get("copies");
 const color = params.get("color")
 const paper = params.get("paper");
 const baseName = params.get("baseName");
+const isCart = params.has("documents"); // a cart order: its documents are listed from the quote
 
 // Fill display fields
 document.getElementById("pages").innerText = pages;
 document.getElementById("copies").innerText = copies;
 document.getElementById("color").innerText = color;
-document.getElementById("paper").innerText = paper;
+document.getElementById("paper").innerText = paper === "auto" ? "Best match per page" : paper;
+document.getElementById("details").hidden = isCart;
+
+const DUPLEX_LABELS = {
+    off: "Single-sided",
+    "long-edge": "Double-sided (long edge)",
+    "short-edge": "Double-sided (short edge)",
+    manual: "Double-sided (attendant flips the paper)"
+};
 
 let totalCost = 0;
+let credit = 0;
+const printBtn = document.getElementById("printBtn");
 
-// Ask server to scan images + calculate cost
+// Ask server to scan images + quote the stored transaction
 async function calculateCost() {
     const response = await fetch("/calculate-cost", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ paper, baseName, color, pages, copies })
+        body: JSON.stringify({ id })
     });
 
     const result = await response.json();
@@ -32,26 +43,119 @@ async function calculateCost() {
 
     totalCost = result.totalCost;
     document.getElementById("cost").innerText = totalCost;
+    renderBreakdown(result.quote);
+    renderDocuments(result.quote.breakdown.documents || []);
+    renderItems(result.quote.breakdown.items || [], result.quote.breakdown.documents || []);
+    updatePaymentStatus();
+}
+
+// Show what the server will actually charge
+function renderBreakdown(quote) {
+    const b = quote.breakdown;
+    const sheets = b.totalSheets ?? b.totalPages; // quotes from before sheet pricing
+    const singleSheets = sheets - (b.duplexSheets || 0);
+    const tierNote = b.tierMinPages ? ` (${b.tierMinPages}+ sheet rate)` : "";
+    const lines = [];
+    if (b.documents) {
+        // a cart: each document is priced with its own settings
+        b.documents.forEach(d => lines.push(`Document ${d.itemNo}: ${d.totalSheets} sheet(s)${d.copies > 1 ? ` × ${d.copies} copies` : ""} — ₱${d.totalCost}`));
+    } else if (b.parts) {
+        // best match per page: each paper size is priced on its own
+        b.parts.forEach(part => lines.push(`${part.paper}: page(s) ${part.pages.join(", ")}, ${part.totalSheets} sheet(s) — ₱${part.totalCost}`));
+    } else {
+        if (b.duplexSheets) lines.push(`${b.duplexSheets} double-sided sheet(s) × ₱${b.duplexPrice}`);
+        if (singleSheets) lines.push(`${singleSheets} single-sided sheet(s) × ₱${b.basePrice}${tierNote}`);
+    }
+    if (b.grayscalePages) lines.push(`${b.grayscalePages} page(s) have no color and are charged at the B&W rate`);
+    lines.push(`Paper: ₱${b.baseCharge}`);
+    if (!b.documents) document.getElementById("duplex").innerText = DUPLEX_LABELS[b.duplex || "off"];
+    if (b.surcharge > 0) lines.push(`Ink coverage surcharge: ₱${b.surcharge}`);
+    if (b.copies > 1) lines.push(`× ${b.copies} copies`);
+    lines.push(`Quote valid until ${new Date(quote.expiresAt).toLocaleTimeString()}`);
+
+    document.getElementById("breakdown").innerHTML = lines.map(l => `<p>${l}</p>`).join("");
+}
+
+// The details of each document of a cart
+function renderDocuments(documents) {
+    document.getElementById("documents").innerHTML = documents.map(d => `
+        <li>${d.color === "bw" ? "Black & White" : "Colored"}, ${d.paper === "auto" ? "best match per page" : d.paper},
+            pages ${d.pages.join(", ")}, ${d.copies} cop${d.copies > 1 ? "ies" : "y"}, ${DUPLEX_LABELS[d.duplex || "off"]}</li>`).join("");
+}
+
+// One row per page: thumbnail, measured ink and what it adds to the price
+const peso = n => `₱${Number(n).toFixed(2)}`;
+
+function renderItems(items, documents) {
+    // the file and color a page's preview comes from: its document's in a cart, else the URL's
+    const sourceOf = item => documents.find(d => d.itemNo === item.document) || { file: baseName, paper, color };
+    const rows = items.map(item => {
+        const source = sourceOf(item);
+        return `
+        <tr>
+            <td><img class="thumb" src="/cache/${item.paper || source.paper}/${source.color === "bw" ? "gray/" : ""}${source.file}_${item.page}.png" alt="Page ${item.page}"></td>
+            <td>${item.document ? `<small>Doc ${item.document}</small><br>` : ""}${item.page}</td>
+            <td>${item.coverage}%<br><small>black ${item.blackCoverage}% / color ${item.colorCoverage}%</small></td>
+            <td>${item.chargedAs === "bw" ? "B&W" : "Color"}${item.grayscale && source.color === "color" ? " (no color found)" : ""}</td>
+            <td>${peso(item.base)}</td>
+            <td>${peso(item.surcharge)}</td>
+            <td>× ${item.copies}</td>
+            <td>${peso(item.total)}</td>
+        </tr>`;
+    }).join("");
+
+    document.getElementById("items").innerHTML = items.length ? `
+        <table>
+            <thead>
+                <tr><th></th><th>Page</th><th>Ink</th><th>Rate</th><th>Base</th><th>Surcharge</th><th>Copies</th><th>Total</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>` : "";
 }
 calculateCost();
 
-// Payment validation
-document.getElementById("payment").addEventListener("input", function () {
-    const payment = Number(this.value);
+// Payment status: the Print button unlocks once inserted credit covers the cost
+function updatePaymentStatus() {
     const status = document.getElementById("status");
+    document.getElementById("credit").innerText = credit;
 
-    if (payment < totalCost) {
-        status.innerHTML = "<span style='color:red'>Underpayment</span>";
-    } else {
+    const covered = totalCost > 0 && credit >= totalCost;
+    printBtn.disabled = !covered;
+
+    if (covered) {
         status.innerHTML = "<span style='color:green'>Payment OK</span>";
+    } else if (credit > 0) {
+        status.innerHTML = `<span style='color:red'>Insert ₱${totalCost - credit} more</span>`;
     }
-});
+}
 
-// PRINT BUTTON
-document.getElementById("printBtn").addEventListener("click", async () => {
-    const payment = Number(document.getElementById("payment").value);
+// Live credit from the coin/bill acceptor
+async function startPayment() {
+    const response = await fetch("/payment/start", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id })
+    });
+    const result = await response.json();
+    if (!result.success) {
+        alert("Payment unavailable: " + result.message);
+        return;
+    }
 
-    if (payment < totalCost) {
+    credit = result.credit;
+    updatePaymentStatus();
+
+    const stream = new EventSource(`/payment/events/${id}`);
+    stream.addEventListener("credit", e => {
+        credit = JSON.parse(e.data).credit;
+        updatePaymentStatus();
+    });
+}
+startPayment();
+
+// PRINT BUTTON
+printBtn.addEventListener("click", async () => {
+    if (credit < totalCost) {
         alert("Payment not enough!");
         return;
     }
@@ -69,8 +173,14 @@ document.getElementById("printBtn").addEventListener("click", async () => {
     const result = await response.json();
 
     if (result.success) {
-        alert("Print job processing...");
-        window.location.href = "/index.html";
+        // follow the job live: queue position, pages printed, the outcome and the receipt
+        window.location.href = `/status/${id}`;
+    } else if (result.code === "quote-expired") {
+        await calculateCost(); // a fresh quote counts the credit already inserted
+        alert("The price was updated. Check the total and press Print again.");
+    } else {
+        alert(result.message || "Could not start printing.");
+        calculateCost(); // refresh a stale quote
     }
 });
 
@@ -87,8 +197,8 @@ document.getElementById("cancelBtn").addEventListener("click", async () => {
         })
     });
 
-    // Delete uploaded PDFs/images
-    await fetch(`/delete-last/${baseName}`, { method:"DELETE" });
+    // Delete uploaded PDFs/images (the server already cleared every document of a cart)
+    if (baseName) await fetch(`/delete-last/${baseName}`, { method:"DELETE" });
 
     // Return to home
     window.location.href = "/index.html";
@@ -0,0 +1,43 @@
+// Transaction id from the URL: /receipt/<id>
+const id = window.location.pathname.split("/").pop();
+document.getElementById("statusLink").href = `/status/${id}`;
+
+const DUPLEX_LABELS = {
+    off: "Single-sided",
+    "long-edge": "Double-sided (long edge)",
+    "short-edge": "Double-sided (short edge)",
+    manual: "Double-sided (manual flip)"
+};
+
+async function loadReceipt() {
+    const result = await (await fetch(`/transaction/${id}/receipt`)).json();
+    if (!result.success) {
+        document.getElementById("summary").innerText = result.message || "Receipt not available.";
+        return;
+    }
+
+    const r = result.receipt;
+    const when = new Date(r.printedAt || r.date).toLocaleString();
+    document.getElementById("summary").innerHTML =
+        `<b>Transaction #${r.id}</b> — ${r.printedAt ? `printed ${when}` : `${r.status}, ${when}`}` +
+        (r.quoteId ? `<br><small>Quote #${r.quoteId}</small>` : "");
+
+    const rows = r.documents.map(d => `
+        <tr>
+            <td>${d.itemNo}</td>
+            <td>${d.color === "bw" ? "B&W" : "Color"}</td>
+            <td>${d.paper}</td>
+            <td>${d.pages}</td>
+            <td>${d.copies}</td>
+            <td>${DUPLEX_LABELS[d.duplex] || d.duplex}</td>
+        </tr>`).join("");
+    document.getElementById("documents").innerHTML = `
+        <table>
+            <thead><tr><th>#</th><th>Color</th><th>Paper</th><th>Pages</th><th>Copies</th><th>Sides</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+
+    document.getElementById("amount").innerText = r.amount;
+    document.getElementById("paid").innerText = r.paid;
+}
+loadReceipt();
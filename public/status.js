@@ -0,0 +1,55 @@
+// Transaction id from the URL: /status/<id>
+const id = window.location.pathname.split("/").pop();
+document.getElementById("receiptLink").href = `/receipt/${id}`;
+
+const HEADLINES = {
+    unpaid: "Waiting for payment",
+    queued: "Waiting for the printer",
+    printing: "Printing...",
+    flip: "Front sides printed",
+    completed: "Done! Please take your pages.",
+    failed: "Printing failed",
+    cancelled: "Cancelled",
+    refunded: "Refunded"
+};
+
+function render(s) {
+    document.getElementById("state").innerText = HEADLINES[s.state] || s.state;
+
+    const progress = document.getElementById("printProgress");
+    progress.max = s.total || 1;
+    progress.value = s.printed;
+    progress.hidden = !["queued", "printing", "flip", "completed"].includes(s.state);
+
+    let detail = "";
+    if (s.state === "queued") {
+        detail = s.jobsAhead ? `${s.jobsAhead} job(s) ahead of yours.` : "Your job is next.";
+    } else if (s.state === "printing") {
+        // pages are counted as each part of the job leaves the printer
+        detail = `Printing page ${Math.min(s.printed + 1, s.total)} of ${s.total}`;
+        if (s.manualDuplex) detail += ". The front sides come first; the attendant turns the paper over for the backs.";
+    } else if (s.state === "flip") {
+        detail = "The attendant will turn the paper over to print the back sides.";
+    } else if (s.state === "completed") {
+        detail = `${s.total} page(s) printed.`;
+    } else if (s.state === "failed") {
+        detail = "Please ask the attendant for help. Your payment is recorded.";
+    }
+    document.getElementById("detail").innerText = detail;
+
+    // a failure's reason, or the printer problem being retried
+    document.getElementById("error").innerText = s.error
+        ? (s.state === "failed" ? s.error : `Retrying: ${s.error}`)
+        : "";
+}
+
+// Live state from the server; the browser reconnects on its own if the stream drops
+const stream = new EventSource(`/status/${id}/events`);
+stream.addEventListener("status", e => {
+    const state = JSON.parse(e.data);
+    if (!state) {
+        document.getElementById("state").innerText = "Transaction not found.";
+        return stream.close();
+    }
+    render(state);
+});
@@ -0,0 +1,91 @@
+// quotes.js - server-side price quotes: the only amounts a transaction can be charged
+const db = require('./db');
+const payment = require('./payment');
+const transactions = require('./transactions');
+
+const QUOTE_TTL_MS = (Number(process.env.QUOTE_TTL_MINUTES) || 15) * 60 * 1000;
+
+function toQuote(row) {
+    if (!row) return null;
+    return {
+        id: row.Quote_Id,
+        transactionId: row.Transaction_Id,
+        pages: row.Pages,
+        copies: row.Copies,
+        color: row.Color,
+        paper: row.Paper_Size,
+        duplex: row.Duplex || 'off',
+        amount: row.Amount,
+        pricingVersion: row.Pricing_Version,
+        breakdown: JSON.parse(row.Breakdown || '{}'),
+        createdAt: row.Created_At,
+        expiresAt: row.Expires_At
+    };
+}
+
+// Persist a pricing.quote() result against the transaction it was computed for
+function saveQuote(tx, result) {
+    const now = Date.now();
+    const breakdown = {
+        basePrice: result.basePrice,
+        tierMinPages: result.tierMinPages,
+        totalPages: result.totalPages,
+        totalSheets: result.totalSheets,
+        duplex: result.duplex,
+        duplexSheets: result.duplexSheets,
+        duplexPrice: result.duplexPrice,
+        grayscalePages: result.grayscalePages,
+        baseCharge: result.baseCharge,
+        surcharge: result.surcharge,
+        copies: result.copies,
+        total: result.totalCost,
+        parts: result.parts, // per-paper sub-jobs of a "best match per page" job
+        documents: result.documents, // per-document totals of a cart order
+        items: result.items // per-page lines, so the charge can be explained later
+    };
+    const info = db.prepare(`
+        INSERT INTO Quotes
+        (Transaction_Id, Pages, Copies, Color, Paper_Size, Duplex, Amount, Breakdown, Pricing_Version, Created_At, Expires_At)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        tx.Transaction_Id, tx.Pages, tx.Copies, tx.Color, tx.Paper_Size, tx.Duplex || 'off', result.totalCost,
+        JSON.stringify(breakdown), result.version, new Date(now).toISOString(), new Date(now + QUOTE_TTL_MS).toISOString()
+    );
+    return toQuote(db.prepare('SELECT * FROM Quotes WHERE Quote_Id = ?').get(info.lastInsertRowid));
+}
+
+function latestQuote(transactionId) {
+    return toQuote(db.prepare('SELECT * FROM Quotes WHERE Transaction_Id = ? ORDER BY Quote_Id DESC LIMIT 1').get(transactionId));
+}
+
+// The quote a transaction may be charged now, or an error saying why there is none
+// (code 'quote-expired' when a fresh quote would fix it)
+function getValidQuote(tx) {
+    const quote = latestQuote(tx.Transaction_Id);
+    if (!quote) return { error: 'No price quote for this transaction.' };
+    // Once paid, the quote that was paid for stands even after it expires
+    if (tx.Status !== 'paid' && Date.parse(quote.expiresAt) < Date.now()) {
+        return { error: 'The price quote has expired. Please recalculate.', code: 'quote-expired' };
+    }
+
+    const matches = quote.pages === tx.Pages && Number(quote.copies) === Number(tx.Copies)
+        && quote.color === tx.Color && quote.paper === tx.Paper_Size && quote.duplex === (tx.Duplex || 'off');
+    if (!matches) return { error: 'The print settings changed since the quote. Please recalculate.' };
+
+    return { quote };
+}
+
+// quoted -> paid as soon as the credited payment covers a valid quote
+function settle(transactionId) {
+    const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(transactionId);
+    if (!tx || tx.Status !== 'quoted') return false;
+
+    const { quote } = getValidQuote(tx);
+    const credit = payment.getCredit(transactionId);
+    if (!quote || credit < quote.amount) return false;
+
+    transactions.transition(transactionId, 'paid', { actor: 'payment', amount: quote.amount, note: `Credit ₱${credit}` });
+    return true;
+}
+
+module.exports = { saveQuote, latestQuote, getValidQuote, settle };
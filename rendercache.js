@@ -0,0 +1,182 @@
+// rendercache.js - content-addressed store of rendered documents, so a repeat upload is not converted again
+//
+// An upload is fingerprinted by the SHA-256 of its bytes (plus the image options for photo uploads).
+// Each fingerprint + layout + paper size (documents are laid out one paper at a time) gets one entry in cache/store/<Cache_Key>/:
+//   source.pdf          the document after conversion (images / Office files -> PDF)
+//   <paper>.pdf         laid out on that paper
+//   <paper>_<n>.png     preview of printed page n
+// A hit copies the entry into the session workspace; entries are evicted least recently used
+// once the store grows past RENDER_CACHE_MAX_MB.
+const path = require('path');
+const fs = require('fs');
+const fsPromise = fs.promises;
+const crypto = require('crypto');
+const db = require('./db');
+
+// ----- Settings -----
+const RENDER_CACHE_MAX_BYTES = (Number(process.env.RENDER_CACHE_MAX_MB) || 500) * 1024 * 1024;
+const storeRoot = path.join(__dirname, 'cache', 'store');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// ----- Keys -----
+// SHA-256 of the uploaded files in order, plus the options that change how they are converted
+async function fingerprint(filePaths, options = {}) {
+    const hash = crypto.createHash('sha256');
+    for (const file of filePaths) {
+        const { size } = await fsPromise.stat(file);
+        hash.update(`${size}:`); // keeps the file boundaries in the hash
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(file)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+    }
+    hash.update(JSON.stringify(options));
+    return hash.digest('hex');
+}
+
+// Which fingerprint a workspace document came from, kept next to it for re-renders
+const fingerprintFile = (dir, baseName) => path.join(dir, baseName + '_fingerprint');
+
+async function readFingerprint(dir, baseName) {
+    const fp = await fsPromise.readFile(fingerprintFile(dir, baseName), 'utf8').catch(() => '');
+    return /^[a-f0-9]{64}$/.test(fp) ? fp : null;
+}
+
+async function writeFingerprint(dir, baseName, fp) {
+    await fsPromise.writeFile(fingerprintFile(dir, baseName), fp);
+}
+
+const entryKey = (fp, layout, paperNames) => sha256(fp + JSON.stringify(layout) + paperNames.join(','));
+const entryDir = key => path.join(storeRoot, key);
+
+// Files are copied, never linked: workspace files get rewritten in place on re-render
+const copy = (from, to) => fsPromise.copyFile(from, to, fs.constants.COPYFILE_FICLONE);
+
+// ----- Lookup -----
+// The entry for this document + layout on these papers, or null. Counts as a use for LRU.
+function lookup(fp, layout, paperNames) {
+    const key = entryKey(fp, layout, paperNames);
+    const entry = db.prepare('SELECT * FROM RenderCache WHERE Cache_Key = ?').get(key);
+    if (!entry) return null;
+    if (!fs.existsSync(entryDir(key))) {
+        db.prepare('DELETE FROM RenderCache WHERE Cache_Key = ?').run(key); // files removed behind our back
+        return null;
+    }
+    db.prepare('UPDATE RenderCache SET Hits = Hits + 1, Last_Used_At = ? WHERE Cache_Key = ?').run(new Date().toISOString(), key);
+    return entry;
+}
+
+// The converted PDF of an earlier upload of the same files (any layout), or null
+function findSource(fp) {
+    const rows = db.prepare('SELECT Cache_Key FROM RenderCache WHERE Fingerprint = ? ORDER BY Last_Used_At DESC').all(fp);
+    for (const { Cache_Key } of rows) {
+        const source = path.join(entryDir(Cache_Key), 'source.pdf');
+        if (fs.existsSync(source)) return source;
+    }
+    return null;
+}
+
+// Copy an entry's laid-out PDFs and previews into a workspace under baseName
+async function restore(entry, ws, baseName, paperNames) {
+    const dir = entryDir(entry.Cache_Key);
+    for (const paper of paperNames) {
+        await copy(path.join(dir, `${paper}.pdf`), path.join(ws.uploadsDir, `${baseName}_${paper}.pdf`));
+        for (let page = 1; page <= entry.Sides; page++) {
+            await copy(path.join(dir, `${paper}_${page}.png`), path.join(ws.paperCache(paper), `${baseName}_${page}.png`));
+        }
+    }
+}
+
+// ----- Store -----
+// Save a freshly rendered document from the workspace, then evict down to the budget
+async function store(fp, layout, ws, baseName, paperNames, sides) {
+    const key = entryKey(fp, layout, paperNames);
+    if (fs.existsSync(entryDir(key))) return;
+
+    // build the entry beside the store, then move it in whole
+    const tmp = path.join(storeRoot, `${key}.tmp-${process.pid}`);
+    await fsPromise.mkdir(tmp, { recursive: true });
+    try {
+        const files = [[path.join(ws.uploadsDir, baseName + '.pdf'), 'source.pdf']];
+        for (const paper of paperNames) {
+            files.push([path.join(ws.uploadsDir, `${baseName}_${paper}.pdf`), `${paper}.pdf`]);
+            for (let page = 1; page <= sides; page++) {
+                files.push([path.join(ws.paperCache(paper), `${baseName}_${page}.png`), `${paper}_${page}.png`]);
+            }
+        }
+        let bytes = 0;
+        for (const [from, name] of files) {
+            await copy(from, path.join(tmp, name));
+            bytes += (await fsPromise.stat(path.join(tmp, name))).size;
+        }
+        await fsPromise.rename(tmp, entryDir(key));
+
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT OR REPLACE INTO RenderCache (Cache_Key, Fingerprint, Layout, Sides, Bytes, Hits, Created_At, Last_Used_At)
+            VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+        `).run(key, fp, JSON.stringify(layout), sides, bytes, now, now);
+    } finally {
+        await fsPromise.rm(tmp, { recursive: true, force: true });
+    }
+    await evict();
+}
+
+async function removeEntry(key) {
+    await fsPromise.rm(entryDir(key), { recursive: true, force: true });
+    db.prepare('DELETE FROM RenderCache WHERE Cache_Key = ?').run(key);
+}
+
+// Drop least recently used entries until the store fits RENDER_CACHE_MAX_BYTES
+async function evict(maxBytes = RENDER_CACHE_MAX_BYTES) {
+    let { total } = db.prepare('SELECT COALESCE(SUM(Bytes), 0) AS total FROM RenderCache').get();
+    if (total <= maxBytes) return 0;
+
+    let removed = 0;
+    const entries = db.prepare('SELECT Cache_Key, Bytes FROM RenderCache ORDER BY Last_Used_At ASC').all();
+    for (const entry of entries) {
+        if (total <= maxBytes) break;
+        await removeEntry(entry.Cache_Key);
+        total -= entry.Bytes;
+        removed++;
+    }
+    return removed;
+}
+
+// Drop the least recently used entry (emergency purge, see retention.js). Returns its key, or null when empty.
+async function evictOldest() {
+    const entry = db.prepare('SELECT Cache_Key FROM RenderCache ORDER BY Last_Used_At ASC LIMIT 1').get();
+    if (!entry) return null;
+    await removeEntry(entry.Cache_Key);
+    return entry.Cache_Key;
+}
+
+// Folders in the store with no entry (half-written, or the row was lost), older than maxAgeMs. Returns their paths.
+async function strays(maxAgeMs) {
+    const known = new Set(db.prepare('SELECT Cache_Key FROM RenderCache').all().map(r => r.Cache_Key));
+    const names = await fsPromise.readdir(storeRoot).catch(() => []);
+    const found = [];
+    for (const name of names) {
+        if (known.has(name)) continue;
+        const stat = await fsPromise.stat(path.join(storeRoot, name)).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > maxAgeMs) found.push(path.join(storeRoot, name));
+    }
+    return found;
+}
+
+module.exports = {
+    fingerprint,
+    readFingerprint,
+    writeFingerprint,
+    lookup,
+    findSource,
+    restore,
+    store,
+    evict,
+    evictOldest,
+    strays,
+    RENDER_CACHE_MAX_BYTES
+};
@@ -0,0 +1,150 @@
+// renderer.js - checked, resource-limited document rendering so one hostile or huge PDF cannot hang the kiosk
+//
+// Ghostscript renders the previews and makes the grayscale PDFs B&W jobs print from (see grayscale.js).
+// It runs with an argument array (no shell), -dSAFER, a memory cap (RENDER_MEMORY_MB) and a wall-clock
+// timeout after which it is killed.
+// Failures carry a code the browser turns into a customer-facing message (see ERROR_MESSAGES in public/app.js):
+//   too-large       upload over MAX_UPLOAD_BYTES
+//   too-many-pages  more than MAX_PAGES pages
+//   not-pdf         no %PDF- header
+//   encrypted       password-protected PDF
+//   unreadable      damaged PDF that cannot be parsed
+//   timeout         Ghostscript took longer than RENDER_TIMEOUT_MS per page (GRAYSCALE_TIMEOUT_MS on a document)
+//   render-failed   Ghostscript failed or produced no image
+const fs = require('fs');
+const fsPromise = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PDFDocument } = require('pdf-lib');
+const execFilePromise = promisify(execFile);
+
+// ----- Settings -----
+const GS_COMMAND = process.env.GS_COMMAND || 'gs';
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 60000; // per page
+// Address-space cap per Ghostscript run, applied with prlimit (util-linux) so a PDF built to blow up
+// in memory fails its render instead of pushing the Pi into swap; 0 runs Ghostscript uncapped
+const RENDER_MEMORY_MB = process.env.RENDER_MEMORY_MB === undefined ? 512 : Number(process.env.RENDER_MEMORY_MB);
+const GRAYSCALE_TIMEOUT_MS = Number(process.env.GRAYSCALE_TIMEOUT_MS) || 5 * 60 * 1000; // per document
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024; // per file
+const MAX_PAGES = Number(process.env.MAX_PAGES) || 200;
+const PREVIEW_DPI = 72;
+const HEADER_WINDOW = 1024; // readers accept the header anywhere in the first 1 KB
+
+class RenderError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'RenderError';
+        this.code = code;
+    }
+}
+
+// ----- Validation -----
+async function checkPdfHeader(filePath) {
+    const handle = await fsPromise.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_WINDOW), 0, HEADER_WINDOW, 0);
+        if (!buffer.subarray(0, bytesRead).includes('%PDF-')) {
+            throw new RenderError('This file is not a valid PDF.', 'not-pdf');
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Load an uploaded PDF after checking its header and page count. Returns the pdf-lib document.
+async function loadPdf(filePath) {
+    await checkPdfHeader(filePath);
+
+    let pdfDoc;
+    try {
+        pdfDoc = await PDFDocument.load(await fsPromise.readFile(filePath));
+    } catch (e) {
+        if (e.name === 'EncryptedPDFError') throw new RenderError('This PDF is password-protected.', 'encrypted');
+        throw new RenderError('This PDF is damaged and cannot be read: ' + e.message, 'unreadable');
+    }
+
+    const pages = pdfDoc.getPageCount();
+    if (pages === 0) throw new RenderError('This PDF has no pages.', 'unreadable');
+    if (pages > MAX_PAGES) throw new RenderError(`This PDF has ${pages} pages; at most ${MAX_PAGES} can be printed at once.`, 'too-many-pages');
+    return pdfDoc;
+}
+
+// ----- Rendering -----
+// Run Ghostscript with the safe defaults; failures become RenderErrors with the given messages
+// outputPaths = the files it writes, removed when it fails
+async function runGhostscript(args, outputPaths, timeout, messages) {
+    const gsArgs = ['-dSAFER', '-dBATCH', '-dNOPAUSE', '-dQUIET', ...args];
+    // prlimit execs Ghostscript in place, so the timeout still kills Ghostscript itself
+    const [command, commandArgs] = RENDER_MEMORY_MB > 0
+        ? ['prlimit', [`--as=${RENDER_MEMORY_MB * 1024 * 1024}`, '--', GS_COMMAND, ...gsArgs]]
+        : [GS_COMMAND, gsArgs];
+    let stderr;
+    try {
+        ({ stderr } = await execFilePromise(command, commandArgs, { timeout, killSignal: 'SIGKILL' }));
+    } catch (e) {
+        outputPaths.forEach(f => fsPromise.unlink(f).catch(()=>{})); // may be half written
+        if (e.killed) throw new RenderError(messages.timeout, 'timeout');
+        console.error('Ghostscript failed:', e.code, (e.stderr || e.message).trim());
+        throw new RenderError(messages.failed, 'render-failed');
+    }
+
+    if (stderr && !stderr.includes('Warning')) {
+        console.error('Ghostscript error:', stderr.trim());
+        throw new RenderError(messages.failed, 'render-failed');
+    }
+}
+
+// Render pages first..last of a PDF to PNG (page numbers start at 1) in one Ghostscript run, so the document
+// is parsed once rather than once per page. outputFor(page) names each page's image; gray renders 8-bit grayscale.
+async function renderPages(pdfPath, outputFor, first, last, { gray = false } = {}) {
+    const pages = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    // Ghostscript numbers a run's images from 1: they get their page's name once all are written
+    const partial = outputFor(first) + '.part';
+    const written = pages.map((page, i) => partial + (i + 1));
+    const label = first === last ? `page ${first}` : `pages ${first}-${last}`;
+    await runGhostscript([
+        gray ? '-sDEVICE=pnggray' : '-sDEVICE=png16m', // non-transparent, white background
+        `-r${PREVIEW_DPI}`,
+        `-dFirstPage=${first}`,
+        `-dLastPage=${last}`,
+        `-sOutputFile=${partial}%d`,
+        pdfPath
+    ], written, RENDER_TIMEOUT_MS * pages.length, {
+        timeout: `Rendering ${label} took too long.`,
+        failed: `Could not render ${label}.`
+    });
+
+    const missing = pages.find((page, i) => !fs.existsSync(written[i]));
+    if (missing) {
+        written.forEach(f => fsPromise.unlink(f).catch(()=>{}));
+        throw new RenderError(`Page ${missing} produced no image. The PDF may be corrupted or missing content.`, 'render-failed');
+    }
+    await Promise.all(pages.map((page, i) => fsPromise.rename(written[i], outputFor(page))));
+    return pages.map(outputFor);
+}
+
+// Render one page of a PDF to PNG
+async function renderPage(pdfPath, outputPath, page, options) {
+    await renderPages(pdfPath, () => outputPath, page, page, options);
+    return outputPath;
+}
+
+// Rewrite a PDF with every color converted to gray, so the printer gets true black & white
+async function convertToGrayscale(pdfPath, outputPath) {
+    await runGhostscript([
+        '-sDEVICE=pdfwrite',
+        '-sColorConversionStrategy=Gray',
+        '-dProcessColorModel=/DeviceGray',
+        '-dOverrideICC',
+        `-sOutputFile=${outputPath}`,
+        pdfPath
+    ], [outputPath], GRAYSCALE_TIMEOUT_MS, {
+        timeout: 'Converting to black and white took too long.',
+        failed: 'Could not convert the document to black and white.'
+    });
+
+    if (!fs.existsSync(outputPath)) throw new RenderError('Converting to black and white produced no file.', 'render-failed');
+    return outputPath;
+}
+
+module.exports = { loadPdf, checkPdfHeader, renderPages, renderPage, convertToGrayscale, RenderError, MAX_UPLOAD_BYTES, MAX_PAGES };
@@ -0,0 +1,175 @@
+// reports.js - daily / per-shift sales reports and end-of-day cash reconciliation
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const db = require('./db');
+const items = require('./items');
+
+// Shifts as name=startHour-endHour (local time, end exclusive). An end at or before the start is on the
+// next day: night=22-6 on a date runs from 22:00 that day to 06:00 the day after.
+const SHIFTS = parseShifts(process.env.REPORT_SHIFTS || 'morning=6-14,afternoon=14-22,night=22-6');
+
+function parseShifts(spec) {
+    const shifts = {};
+    spec.split(',').forEach(part => {
+        const match = /^\s*([\w-]+)\s*=\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(part);
+        if (match) shifts[match[1]] = { start: Number(match[2]), end: Number(match[3]) };
+    });
+    return shifts;
+}
+
+// The local times a report covers, [from, to) as SQLite datetimes: the whole date, or the shift starting on it
+function reportWindow(date, shift) {
+    const nextDay = new Date(Date.parse(date + 'T00:00:00Z') + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!shift) return [`${date} 00:00:00`, `${nextDay} 00:00:00`];
+    const at = (day, hour) => `${day} ${String(hour).padStart(2, '0')}:00:00`;
+    return [at(date, shift.start), at(shift.end > shift.start ? date : nextDay, shift.end)];
+}
+
+function pageCount(pages) {
+    return String(pages || '').split(',').filter(p => p.trim() !== '').length;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// ----- Report -----
+function buildReport(date, shiftName = null) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) throw new Error('Date must be YYYY-MM-DD.');
+    const shift = shiftName ? SHIFTS[shiftName] : null;
+    if (shiftName && !shift) throw new Error(`Unknown shift "${shiftName}".`);
+
+    // a night shift's takings all land in the report of the date it started on
+    const window = reportWindow(date, shift);
+    const hourOf = 'CAST(strftime(\'%H\', Date, \'localtime\') AS INTEGER)';
+    const txs = db.prepare(`
+        SELECT Transaction_Id, Amount, Color, Pages, Copies, Paper_Size, Status, ${hourOf} AS Hour
+        FROM Transactions WHERE datetime(Date, 'localtime') >= ? AND datetime(Date, 'localtime') < ?
+    `).all(...window);
+
+    const refunds = db.prepare(`
+        SELECT Amount FROM TransactionEvents
+        WHERE New_Status = 'refunded' AND datetime(Created_At, 'localtime') >= ? AND datetime(Created_At, 'localtime') < ?
+    `).all(...window);
+
+    const payments = db.prepare(`
+        SELECT Amount FROM Payments WHERE datetime(Created_At, 'localtime') >= ? AND datetime(Created_At, 'localtime') < ?
+    `).all(...window);
+
+    // Revenue counts jobs that printed (refunded ones included: their refund is subtracted separately)
+    const printed = txs.filter(t => ['completed', 'refunded'].includes(t.Status));
+    const grossRevenue = printed.reduce((sum, t) => sum + (Number(t.Amount) || 0), 0);
+    const refundTotal = refunds.reduce((sum, r) => sum + (Number(r.Amount) || 0), 0);
+
+    const pagesBySize = {};
+    let pagesPrinted = 0;
+    // a cart order counts each of its documents on its own paper and color
+    for (const job of printed.flatMap(items.jobsOf)) {
+        const pages = pageCount(job.Pages) * (Number(job.Copies) || 1);
+        const key = `${job.Paper_Size}/${job.Color}`;
+        pagesBySize[key] = (pagesBySize[key] || 0) + pages;
+        pagesPrinted += pages;
+    }
+
+    const jobsByHour = {};
+    txs.forEach(t => { jobsByHour[t.Hour] = (jobsByHour[t.Hour] || 0) + 1; });
+    const busiestHours = Object.entries(jobsByHour)
+        .map(([hour, jobs]) => ({ hour: Number(hour), jobs }))
+        .sort((a, b) => b.jobs - a.jobs || a.hour - b.hour)
+        .slice(0, 3);
+
+    const reconciliation = db.prepare(`
+        SELECT Counted, Expected, Difference, Actor, Note, Created_At FROM CashCounts
+        WHERE Report_Date = ? AND Shift IS ? ORDER BY Count_Id DESC LIMIT 1
+    `).get(date, shiftName);
+
+    return {
+        date,
+        shift: shiftName,
+        transactions: txs.length,
+        completedJobs: printed.length,
+        cancelledJobs: txs.filter(t => t.Status === 'cancelled').length,
+        failedJobs: txs.filter(t => t.Status === 'failed').length,
+        grossRevenue: round2(grossRevenue),
+        refunds: round2(refundTotal),
+        netRevenue: round2(grossRevenue - refundTotal),
+        expectedCash: round2(payments.reduce((sum, p) => sum + p.Amount, 0)),
+        pagesPrinted,
+        pagesBySize,
+        averageJobPages: printed.length ? round2(pagesPrinted / printed.length) : 0,
+        averageJobAmount: printed.length ? round2(grossRevenue / printed.length) : 0,
+        jobsByHour,
+        busiestHours,
+        reconciliation: reconciliation || null
+    };
+}
+
+// ----- Reconciliation -----
+// Record the counted cash-box amount against what the acceptor took in
+function reconcile(date, shiftName, counted, actor, note = null) {
+    counted = Number(counted);
+    if (isNaN(counted) || counted < 0) throw new Error('Enter the counted cash amount.');
+    const report = buildReport(date, shiftName);
+    const difference = round2(counted - report.expectedCash);
+
+    db.prepare(`
+        INSERT INTO CashCounts (Report_Date, Shift, Counted, Expected, Difference, Actor, Note, Created_At)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(date, shiftName, counted, report.expectedCash, difference, actor, note, new Date().toISOString());
+
+    return buildReport(date, shiftName);
+}
+
+// ----- Export -----
+function reportLines(report) {
+    const lines = [
+        ['Date', report.date],
+        ['Shift', report.shift || 'whole day'],
+        ['Transactions', report.transactions],
+        ['Completed jobs', report.completedJobs],
+        ['Cancelled jobs', report.cancelledJobs],
+        ['Failed jobs', report.failedJobs],
+        ['Gross revenue (PHP)', report.grossRevenue],
+        ['Refunds (PHP)', report.refunds],
+        ['Net revenue (PHP)', report.netRevenue],
+        ['Expected cash (PHP)', report.expectedCash],
+        ['Pages printed', report.pagesPrinted]
+    ];
+    Object.entries(report.pagesBySize).forEach(([key, pages]) => lines.push([`Pages ${key}`, pages]));
+    lines.push(['Average job size (pages)', report.averageJobPages]);
+    lines.push(['Average job amount (PHP)', report.averageJobAmount]);
+    report.busiestHours.forEach((h, i) => lines.push([`Busiest hour #${i + 1}`, `${String(h.hour).padStart(2, '0')}:00 (${h.jobs} jobs)`]));
+    if (report.reconciliation) {
+        lines.push(['Counted cash (PHP)', report.reconciliation.Counted]);
+        lines.push(['Cash difference (PHP)', report.reconciliation.Difference]);
+        lines.push(['Counted by', report.reconciliation.Actor]);
+    }
+    return lines;
+}
+
+function toCsv(report) {
+    const cell = v => {
+        const s = String(v ?? '');
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return ['Item,Value', ...reportLines(report).map(([k, v]) => `${cell(k)},${cell(v)}`)].join('\n') + '\n';
+}
+
+async function toPdf(report) {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const page = pdfDoc.addPage([612, 792]); // letter
+
+    let y = 740;
+    page.drawText('Piso Print Sales Report', { x: 50, y, size: 18, font: bold });
+    y -= 30;
+    for (const [label, value] of reportLines(report)) {
+        page.drawText(String(label), { x: 50, y, size: 11, font });
+        page.drawText(String(value), { x: 300, y, size: 11, font: bold });
+        y -= 18;
+    }
+    y -= 10;
+    page.drawText(`Generated ${new Date().toLocaleString()}`, { x: 50, y, size: 9, font });
+
+    return pdfDoc.save();
+}
+
+module.exports = { buildReport, reconcile, toCsv, toPdf, SHIFTS };
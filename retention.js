@@ -0,0 +1,152 @@
+// retention.js - storage housekeeping so the Pi's SD card does not fill up
+//
+// Every RETENTION_INTERVAL_MINUTES:
+//   1. printed-job archives (jobs/<Transaction_Id>/) of completed, cancelled or refunded transactions
+//      are removed RETENTION_JOB_HOURS after the transaction's last status change
+//   2. orphans older than RETENTION_ORPHAN_HOURS are removed: archives with no transaction, loose files in
+//      uploads/ and cache/<paper>/ (from before session workspaces) that no open transaction uses,
+//      and render cache folders with no entry
+//   3. while free space is below RETENTION_MIN_FREE_MB, render cache entries and then the oldest finished
+//      archives are removed, whatever their age
+// Idle session workspaces are removed by sessions.js. /upload refuses new files while diskFull() is true.
+const path = require('path');
+const fsPromise = require('fs').promises;
+const db = require('./db');
+const renderCache = require('./rendercache');
+const papers = require('./papers');
+const grayscale = require('./grayscale');
+
+// ----- Settings -----
+const HOUR_MS = 60 * 60 * 1000;
+const JOB_RETENTION_MS = (Number(process.env.RETENTION_JOB_HOURS) || 72) * HOUR_MS;
+const ORPHAN_RETENTION_MS = (Number(process.env.RETENTION_ORPHAN_HOURS) || 24) * HOUR_MS;
+const MIN_FREE_BYTES = (Number(process.env.RETENTION_MIN_FREE_MB) || 500) * 1024 * 1024;
+const UPLOAD_MIN_FREE_BYTES = (Number(process.env.UPLOAD_MIN_FREE_MB) || 100) * 1024 * 1024;
+const INTERVAL_MS = (Number(process.env.RETENTION_INTERVAL_MINUTES) || 30) * 60 * 1000;
+
+const FINISHED = ['completed', 'cancelled', 'refunded'];
+
+const uploadsRoot = path.join(__dirname, 'uploads');
+const cacheRoot = path.join(__dirname, 'cache');
+const jobsRoot = path.join(__dirname, 'jobs');
+
+// ----- Disk space -----
+async function freeBytes() {
+    const stats = await fsPromise.statfs(__dirname);
+    return stats.bavail * stats.bsize;
+}
+
+// Too little space left to accept an upload (a failed check never blocks customers)
+async function diskFull() {
+    try {
+        return await freeBytes() < UPLOAD_MIN_FREE_BYTES;
+    } catch (e) {
+        console.error('disk space check failed:', e.message);
+        return false;
+    }
+}
+
+// ----- Removal -----
+async function remove(target, reason) {
+    await fsPromise.rm(target, { recursive: true, force: true });
+    console.log(`Retention: removed ${path.relative(__dirname, target)} (${reason})`);
+}
+
+const ageMs = async target => {
+    const stat = await fsPromise.stat(target).catch(() => null);
+    return stat ? Date.now() - stat.mtimeMs : 0;
+};
+
+// Archived jobs of finished transactions, oldest status change first: [{ dir, id, status, finishedAt }]
+async function finishedArchives() {
+    const names = await fsPromise.readdir(jobsRoot).catch(() => []);
+    const lastChange = db.prepare(`
+        SELECT t.Status AS status, COALESCE(MAX(e.Created_At), t.Date) AS changedAt
+        FROM Transactions t LEFT JOIN TransactionEvents e ON e.Transaction_Id = t.Transaction_Id
+        WHERE t.Transaction_Id = ?
+        GROUP BY t.Transaction_Id
+    `);
+    const archives = [];
+    for (const name of names) {
+        const row = /^\d+$/.test(name) ? lastChange.get(Number(name)) : null;
+        if (row && FINISHED.includes(row.status)) {
+            archives.push({ dir: path.join(jobsRoot, name), id: Number(name), status: row.status, finishedAt: Date.parse(row.changedAt) || 0 });
+        }
+    }
+    return archives.sort((a, b) => a.finishedAt - b.finishedAt);
+}
+
+// 1. Finished transactions past their retention time
+async function purgeFinishedJobs() {
+    for (const archive of await finishedArchives()) {
+        const hours = Math.round((Date.now() - archive.finishedAt) / HOUR_MS);
+        if (Date.now() - archive.finishedAt > JOB_RETENTION_MS) await remove(archive.dir, `transaction ${archive.id} ${archive.status} ${hours}h ago`);
+    }
+}
+
+// 2. Files nothing refers to any more
+async function purgeOrphans() {
+    // archives whose transaction is gone
+    const exists = db.prepare('SELECT 1 FROM Transactions WHERE Transaction_Id = ?');
+    for (const name of await fsPromise.readdir(jobsRoot).catch(() => [])) {
+        const dir = path.join(jobsRoot, name);
+        if (/^\d+$/.test(name) && exists.get(Number(name))) continue;
+        if (await ageMs(dir) > ORPHAN_RETENTION_MS) await remove(dir, 'no transaction');
+    }
+
+    // loose files from before session workspaces, unless an open transaction still prints from them
+    const inUse = db.prepare(`
+        SELECT File_Path FROM Transactions WHERE Session_Id IS NULL AND Status NOT IN (${FINISHED.map(() => '?').join(', ')})
+    `).all(...FINISHED).map(r => path.basename(String(r.File_Path)));
+    const used = f => inUse.some(base => f === base + '.pdf' || f.startsWith(base + '_'));
+    const legacyCaches = papers.names().map(p => path.join(cacheRoot, p));
+    for (const dir of [uploadsRoot, ...legacyCaches, ...legacyCaches.map(grayscale.previewDirFor)]) {
+        for (const entry of await fsPromise.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+            if (!entry.isFile() || used(entry.name)) continue;
+            const file = path.join(dir, entry.name);
+            if (await ageMs(file) > ORPHAN_RETENTION_MS) await remove(file, 'not used by any open transaction');
+        }
+    }
+
+    for (const dir of await renderCache.strays(ORPHAN_RETENTION_MS)) await remove(dir, 'render cache folder with no entry');
+}
+
+// 3. Low on space: give up the render cache first, then finished archives, oldest first
+async function emergencyPurge() {
+    if (await freeBytes() >= MIN_FREE_BYTES) return;
+    console.warn(`Retention: free space below ${Math.round(MIN_FREE_BYTES / 1024 / 1024)} MB, purging`);
+
+    while (await freeBytes() < MIN_FREE_BYTES) {
+        const key = await renderCache.evictOldest();
+        if (!key) break;
+        console.log(`Retention: removed render cache entry ${key} (low disk space)`);
+    }
+    for (const archive of await finishedArchives()) {
+        if (await freeBytes() >= MIN_FREE_BYTES) return;
+        await remove(archive.dir, `transaction ${archive.id} ${archive.status}, low disk space`);
+    }
+    if (await freeBytes() < MIN_FREE_BYTES) console.warn('Retention: still low on space after purging');
+}
+
+// ----- Scheduler -----
+let running = false;
+
+async function run() {
+    if (running) return;
+    running = true;
+    try {
+        await purgeFinishedJobs();
+        await purgeOrphans();
+        await emergencyPurge();
+    } finally {
+        running = false;
+    }
+}
+
+function start() {
+    const tick = () => run().catch(e => console.error('retention error', e.message));
+    tick();
+    setInterval(tick, INTERVAL_MS).unref();
+}
+
+module.exports = { start, run, diskFull, freeBytes };
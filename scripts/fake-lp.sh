@@ -0,0 +1,6 @@
+#!/bin/sh
+# Stand-in for `lp` on machines without a printer.
+# Usage: PRINT_COMMAND=./scripts/fake-lp.sh PRINT_STATUS_COMMAND= npm start
+# Appends each submission to /tmp/fake-lp.log (or $FAKE_LP_LOG) and answers like CUPS does.
+echo "$(date '+%Y-%m-%d %H:%M:%S') lp $*" >> "${FAKE_LP_LOG:-/tmp/fake-lp.log}"
+echo "request id is FakePrinter-$$ (1 file(s))"
@@ -4,13 +4,30 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { promisify } = require('util');
-const { PDFDocument } = require('pdf-lib');
 const fsPromise = require('fs').promises;
-const sharp = require('sharp');
-const { exec } = require('child_process');
+const crypto = require('crypto');
 const db = require('./db');
-const execPromise = promisify(exec);
+const printer = require('./printer');
+const payment = require('./payment');
+const pricing = require('./pricing');
+const sessions = require('./sessions');
+const quotes = require('./quotes');
+const transactions = require('./transactions');
+const adminRoutes = require('./admin');
+const converters = require('./converters');
+const layouts = require('./layout');
+const coverage = require('./coverage');
+const jobs = require('./jobs');
+const renderer = require('./renderer');
+const grayscale = require('./grayscale');
+const renderCache = require('./rendercache');
+const retention = require('./retention');
+const papers = require('./papers');
+const parts = require('./parts');
+const pageEdits = require('./pageedits');
+const items = require('./items');
+const pairing = require('./pairing');
+const jobStatus = require('./jobstatus');
 
 const app = express();
 app.use(express.json());
@@ -27,324 +44,544 @@ try {
 const root = __dirname;
 const uploadsDir = path.join(root, 'uploads');
 const cacheDir = path.join(root, 'cache');
-const letterCache = path.join(cacheDir, 'letter');
-const legalCache = path.join(cacheDir, 'legal');
 
-for (const d of [uploadsDir, letterCache, legalCache]) {
+// Per-session folders live below these (see sessions.js)
+for (const d of [uploadsDir, cacheDir]) {
     if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
 }
 
 // ----- Multer setup -----
 const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, uploadsDir),
+    destination: (req, file, cb) => cb(null, req.workspace.uploadsDir),
     filename: (req, file, cb) => {
-        // safe filename: timestamp + sanitized original name
-        const safe = Date.now() + '-' + path.basename(file.originalname).replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\-\.]/g, '');
+        // safe filename: timestamp + random suffix (images sent together may share a name) + sanitized original name
+        const safe = Date.now() + '-' + crypto.randomBytes(4).toString('hex') + '-' + path.basename(file.originalname).replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\-\.]/g, '');
         cb(null, safe);
     }
 });
 const upload = multer({
     storage,
+    limits: { fileSize: renderer.MAX_UPLOAD_BYTES },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') cb(null, true);
-        else cb(new Error('Only PDF files are allowed'));
+        // PDFs go straight through; images and Office files are converted first (see converters.js)
+        if (converters.classify(file)) cb(null, true);
+        else cb(new converters.ConversionError('Unsupported file type. Upload a PDF, JPG/PNG image or DOCX/XLSX/PPTX file.'));
     }
 });
 
 app.use(express.static(path.join(root, 'public')));
-app.use('/uploads', express.static(uploadsDir));
-app.use('/cache', express.static(cacheDir));
+// Operator dashboard and API (kept apart from the kiosk routes below)
+app.use('/admin', adminRoutes);
+app.use(sessions.middleware);
+// /uploads and /cache only ever expose the requesting session's own files
+app.use('/uploads', (req, res, next) => express.static(req.workspace.uploadsDir)(req, res, next));
+app.use('/cache', (req, res, next) => express.static(req.workspace.cacheDir)(req, res, next));
 
 // ----- Helpers -----
-const clearCache = async (folder) => {
+
+// Server-Sent Events: keep the response open and return a send(event, data) function
+function openEventStream(req, res) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => clearInterval(keepAlive));
+    return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ----- Routes -----
+// DELETE last uploaded caches and pdfs
+app.delete('/delete-last/:baseName', async (req, res) => {
+    const baseName = String(req.params.baseName || '').replace(/[^a-zA-Z0-9_\-]/g, '');
+    if (!baseName) return res.json({ success: false, message: 'Invalid basename' });
+
     try {
-        const files = await fsPromise.readdir(folder);
-        await Promise.all(files
-            .filter(f => f.endsWith('.png'))
-            .map(f => fsPromise.unlink(path.join(folder, f)).catch(()=>{})));
-    } catch (e) {
-        console.error('clearCache error for', folder, e.message);
+        // remove this session's cached pngs and resized pdfs
+        await sessions.clearJob(req.sessionId, baseName);
+        return res.json({ success: true });
+    } catch (err) {
+        console.error(err);
+        return res.json({ success: false, message: err.message });
     }
-};
+});
 
-async function convertToBWIfNeeded(filePath, colorMode) {
-    if (colorMode === 'bw') {
-        try {
-            // Overwrite the file with its grayscale version
-            await sharp(filePath)
-                .grayscale() // Convert to Black & White
-                .toFile(filePath + '.bw.png'); // Save to a temp file
-            
-            // Rename to overwrite the original file (more memory efficient than streaming in place)
-            await fsPromise.rename(filePath + '.bw.png', filePath);
-
-        } catch (e) {
-            console.error('Error converting to BW:', filePath, e.message);
-            // Non-fatal, just proceed with the original file if conversion fails
-        }
+// Drop a document's previews from one paper folder (an earlier layout may have produced more sheets)
+async function removePreviews(dir, baseName) {
+    for (const folder of [dir, grayscale.previewDirFor(dir)]) {
+        const stale = (await fsPromise.readdir(folder).catch(() => [])).filter(f => f.startsWith(baseName + '_') && f.endsWith('.png'));
+        await Promise.all(stale.map(f => fsPromise.unlink(path.join(folder, f)).catch(() => {})));
     }
 }
 
+// Each page's size and orientation: the registered paper it was made for (null = none close enough)
+// and the enabled paper it is closest to, for "best match per page" printing.
+// Returns { pages, originalSize (the size most pages have), mixedSizes }
+function describePages(pdfDoc) {
+    const pages = layouts.pageSizes(pdfDoc).map(p => ({
+        ...p,
+        paper: papers.closest(p.width, p.height),
+        bestPaper: papers.closest(p.width, p.height, Infinity)
+    }));
+    const counts = {};
+    pages.filter(p => p.paper).forEach(p => { counts[p.paper] = (counts[p.paper] || 0) + 1; });
+    const originalSize = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+    const mixedSizes = new Set(pages.map(p => p.bestPaper)).size > 1;
+    return { pages, originalSize, mixedSizes };
+}
 
-async function convertPdfToPngsWithGhostscript(pdfPath, outDir, baseName) {
-    // FIX 1: Change to %d for non-zero-padded page numbers (e.g., _1.png)
-    const outputPattern = path.join(outDir, `${baseName}_%d.png`);
-    const resolution = 72; // Resolution (DPI)
-
-    // Use png16m for non-transparent, white background
-    const gsCommand = `gs -dSAFER -dBATCH -dNOPAUSE -sDEVICE=png16m -r${resolution} -sOutputFile=${outputPattern} ${pdfPath}`;
+// Consecutive stretches of a sorted page list: [3, 4, 5, 8] -> [[3, 5], [8, 8]]
+function pageRuns(pages) {
+    const runs = [];
+    for (const page of pages) {
+        const run = runs[runs.length - 1];
+        if (run && run[1] === page - 1) run[1] = page;
+        else runs.push([page, page]);
+    }
+    return runs;
+}
 
-    try {
-        const { stdout, stderr } = await execPromise(gsCommand);
-        
-        if (stderr && !stderr.includes('Warning')) {
-            throw new Error(`Ghostscript Error: ${stderr}`);
+// A document laid out on one paper: what gets printed, and what its previews are rendered from
+const layoutPath = (ws, baseName, paper) => path.join(ws.uploadsDir, `${baseName}_${paper}.pdf`);
+
+// Lay the source PDF out on the given papers and render the previews, reporting each page as it is ready.
+// Only the papers the customer is looking at are rendered; the kiosk asks for others when it needs them (/render-paper).
+// fp = the document's fingerprint: a paper's layout rendered before is copied from the render cache instead.
+// reuse = for each side, the side (1-based) of the current previews that shows the same pages, or null
+// (see pageedits.matchSides): those previews are copied instead of rendered again.
+// Returns { images: { paper: [image urls] }, sides, cache: 'hit' | 'miss' } where sides = printed pages (imposed sheets for N-up)
+async function renderLayouts(ws, sourcePath, baseName, layout, report, fp, paperNames, reuse = null) {
+    const images = {};
+    const version = Date.now(); // previews keep their names, so bust the browser cache on re-render
+    const previewUrl = (paper, page) => `/cache/${paper}/${baseName}_${page}.png?v=${version}`;
+
+    let sides = 0;
+    let misses = 0;
+    for (const paper of paperNames) {
+        const dir = ws.paperCache(paper);
+        const cached = renderCache.lookup(fp, layout, [paper]);
+        if (cached) {
+            report.stage('cache', paper);
+            await removePreviews(dir, baseName);
+            await renderCache.restore(cached, ws, baseName, [paper]);
+            sides = cached.Sides;
+            images[paper] = Array.from({ length: sides }, (_, i) => previewUrl(paper, i + 1));
+            continue;
         }
-
-        // Ghostscript succeeded. Find the generated files.
-        const files = await fsPromise.readdir(outDir);
-        const pngPaths = files
-            .filter(f => f.startsWith(baseName + '_') && f.endsWith('.png'))
-            .map(f => path.join(outDir, f));
-
-        if (pngPaths.length === 0) {
-            throw new Error('Ghostscript finished, but no PNG files found. The PDF may be corrupted or missing content.');
+        misses++;
+
+        report.stage('layout', paper);
+        const { width, height } = papers.get(paper);
+        const resized = layoutPath(ws, baseName, paper);
+        sides = await layouts.resizePDF(sourcePath, resized, width, height, layout);
+
+        // previews that can be reused are set aside before the old ones are cleared
+        const previous = path.join(dir, `${baseName}_previous`);
+        if (reuse) {
+            await fsPromise.rm(previous, { recursive: true, force: true });
+            await fsPromise.mkdir(previous);
+            for (const side of new Set(reuse.filter(Boolean))) {
+                await fsPromise.rename(path.join(dir, `${baseName}_${side}.png`), path.join(previous, `${side}.png`)).catch(() => {});
+            }
+        }
+        await removePreviews(dir, baseName);
+
+        // Copy the reusable previews, then convert the rest to PNG images with Ghostscript:
+        // one run per stretch of consecutive pages
+        report.stage('render', paper, sides);
+        images[paper] = [];
+        const output = page => path.join(dir, `${baseName}_${page}.png`);
+        const ready = page => {
+            // return web paths (relative to server)
+            images[paper][page - 1] = previewUrl(paper, page);
+            report.page(paper, page, images[paper][page - 1]);
+        };
+        try {
+            const toRender = [];
+            for (let page = 1; page <= sides; page++) {
+                const kept = reuse && reuse[page - 1] ? path.join(previous, `${reuse[page - 1]}.png`) : null;
+                const copied = kept && await fsPromise.copyFile(kept, output(page)).then(() => true, () => false);
+                if (copied) ready(page);
+                else toRender.push(page);
+            }
+            for (const [first, last] of pageRuns(toRender)) {
+                await jobs.withRenderSlot(() => renderer.renderPages(resized, output, first, last));
+                for (let page = first; page <= last; page++) ready(page);
+            }
+        } finally {
+            if (reuse) await fsPromise.rm(previous, { recursive: true, force: true });
         }
 
-        return pngPaths;
-
-    } catch (e) {
-        console.error('--- CRITICAL GHOSTSCRIPT CONVERSION FAILED. ---');
-        console.error(e);
-        throw new Error('Ghostscript conversion failed: ' + e.message);
+        // a cache failure only costs the next customer a render
+        await renderCache.store(fp, layout, ws, baseName, [paper], sides)
+            .catch(e => console.error('render cache store error:', e.message));
     }
+    await layouts.writeLayout(ws.uploadsDir, baseName, layout);
+    return { images, sides, cache: misses ? 'miss' : 'hit' };
 }
 
-// FIX 2: Updated resizePDF for Top Alignment (replication of oldserver.js logic)
-async function resizePDF(inputPath, outputPath, targetWidth, targetHeight) {
-    const existingBytes = await fsPromise.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(existingBytes);
-    
-    // Create a new document to hold the resized pages
-    const newPdfDoc = await PDFDocument.create();
+// The enabled papers a kiosk request names (body.papers, comma separated)
+function requestedPapers(body) {
+    const wanted = String(body.papers || '').split(',').map(p => p.trim());
+    return papers.enabled().map(p => p.name).filter(name => wanted.includes(name));
+}
 
-    const pages = pdfDoc.getPages();
-    for (const page of pages) {
-        
-        const embeddedPage = await newPdfDoc.embedPage(page);
-
-        // 1. Get size and sanitize
-        const { width, height } = embeddedPage.size;
-        
-        const sanitizedWidth = isNaN(width) ? 1 : width;
-        const sanitizedHeight = isNaN(height) ? 1 : height;
-
-        const safeWidth = Math.max(1, sanitizedWidth);
-        const safeHeight = Math.max(1, sanitizedHeight);
-
-        // 2. Add a new page with the target size
-        const newPage = newPdfDoc.addPage([targetWidth, targetHeight]);
-        
-        // --- START SQUISHED FIX ---
-        // Calculate the necessary scaling factors for X and Y to fill the page
-        const scaleX = targetWidth / safeWidth;
-        const scaleY = targetHeight / safeHeight;
-
-        // Draw the embedded page onto the new page, stretched to fill the entire area
-        newPage.drawPage(embeddedPage, {
-            x: 0, // Start drawing from the bottom-left
-            y: 0,
-            width: safeWidth * scaleX,  // Will equal targetWidth
-            height: safeHeight * scaleY, // Will equal targetHeight
-        });
-        // --- END SQUISHED FIX ---
+// Remove a document's laid-out PDFs and previews on the given papers: a new layout or page order makes them stale
+async function dropLayouts(ws, baseName, paperNames) {
+    for (const paper of paperNames) {
+        const pdfPath = layoutPath(ws, baseName, paper);
+        await Promise.all([pdfPath, grayscale.pdfPathFor(pdfPath)].map(f => fsPromise.unlink(f).catch(() => {})));
+        await removePreviews(ws.paperCache(paper), baseName);
     }
-
-    const pdfBytes = await newPdfDoc.save();
-    await fsPromise.writeFile(outputPath, pdfBytes);
 }
 
-// Scan used sections (non-blocking): divides image into 12 horizontal bands and checks if any pixel not grey (i.e., used)
-async function scanUsedSections(filePath) {
-    const img = sharp(filePath).ensureAlpha().removeAlpha(); // get RGB
-    const { width, height } = await img.metadata();
-    // Request raw RGB buffer
-    const rawBuffer = await img.raw().toBuffer(); // may be large but ok for single-page images
-
-    const sectionHeight = Math.max(1, Math.floor(height / 12));
-    let totalUsedSections = 0;
-
-    for (let i = 0; i < 12; i++) {
-        let used = false;
-        const yStart = i * sectionHeight;
-        const yEnd = (i === 11) ? height : (i + 1) * sectionHeight;
-
-        for (let y = yStart; y < yEnd && !used; y++) {
-            const rowStartIdx = y * width * 3;
-            for (let x = 0; x < width; x++) {
-                const idx = rowStartIdx + x * 3;
-                const r = rawBuffer[idx];
-                const g = rawBuffer[idx + 1];
-                const b = rawBuffer[idx + 2];
-
-                // if not grayscale (r == g == b) then there's color/ink (used)
-                if (!(r === g && g === b)) {
-                    used = true;
-                    break;
-                }
-            }
+// UPLOAD: store the files, then convert in the background. Answers with a job id to follow on /jobs/:id.
+app.post('/upload', async (req, res) => {
+    if (await retention.diskFull()) {
+        retention.run().catch(e => console.error('retention error', e.message)); // try to make room for the next customer
+        return res.json({ success: false, code: 'disk-full', message: 'The kiosk is out of storage space. Please ask the attendant for help.' });
+    }
+    try {
+        await sessions.ensureWorkspace(req.workspace);
+        await new Promise((resolve, reject) => {
+            upload.array('pdfFile', 20)(req, res, err => err ? reject(err) : resolve());
+        });
+    } catch (err) {
+        console.error('upload error:', err.message);
+        for (const f of req.files || []) fsPromise.unlink(f.path).catch(()=>{});
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            const mb = Math.round(renderer.MAX_UPLOAD_BYTES / 1024 / 1024 * 10) / 10;
+            return res.json({ success: false, code: 'too-large', message: `The file is larger than ${mb} MB.` });
         }
-
-        if (used) totalUsedSections++;
+        return res.json({ success: false, message: (err && err.message) || 'Upload failed' });
     }
+    if (!req.files || !req.files.length) return res.json({ success: false, message: 'No file uploaded' });
+
+    const ws = req.workspace;
+    const sid = req.sessionId;
+    const files = req.files;
+    const options = {
+        imageFit: req.body.imageFit,
+        imagesPerPage: req.body.imagesPerPage,
+        layout: layouts.parseLayout(req.body),
+        papers: requestedPapers(req.body)
+    };
+    // documents already in the kiosk's cart keep their previews
+    const keep = String(req.body.keep || '').split(',').map(b => path.basename(b.trim())).filter(Boolean);
+
+    const job = jobs.create(sid, async report => {
+        let uploadedPath;
+        try {
+            // Images / Office documents are turned into one PDF; a PDF is used as is.
+            report.stage('convert');
+            const convertedPath = path.join(ws.uploadsDir, path.parse(files[0].filename).name + '.pdf');
+            const conversion = { fit: options.imageFit || 'fit', perPage: Number(options.imagesPerPage) || 1 };
+            const isPhotos = files.every(f => converters.classify(f) === 'image');
+            const fp = await renderCache.fingerprint(files.map(f => f.path), isPhotos ? conversion : {});
+
+            // the same files were uploaded before: reuse that PDF (skips LibreOffice / image layout)
+            const cachedSource = renderCache.findSource(fp);
+            if (cachedSource) {
+                await fsPromise.copyFile(cachedSource, convertedPath);
+                uploadedPath = convertedPath;
+            } else {
+                uploadedPath = await converters.toPdf(files, convertedPath, conversion);
+            }
+            await Promise.all(files
+                .filter(f => f.path !== uploadedPath)
+                .map(f => fsPromise.unlink(f.path).catch(()=>{})));
+            const baseName = path.parse(uploadedPath).name;
+
+            // clear this session's previous previews first
+            await sessions.clearPreviews(sid, keep);
+
+            // read pdf to get pagecount and page sizes (rejects non-PDFs, damaged and oversized documents)
+            const pdfDoc = await renderer.loadPdf(uploadedPath);
+            const sourcePages = pdfDoc.getPageCount();
+
+            const { pages, originalSize, mixedSizes } = describePages(pdfDoc);
+
+            // resized PDFs + previews for the paper the kiosk has selected and the one it switches to for this
+            // document (see public/app.js): each page's best match for mixed sizes, else the original size.
+            // The original is kept so the layout can be changed later.
+            const shown = mixedSizes && options.layout.pagesPerSheet === '1' ? pages.map(p => p.bestPaper) : [originalSize];
+            const paperNames = papers.enabled().map(p => p.name).filter(name => [...options.papers, ...shown].includes(name));
+            if (!paperNames.length) paperNames.push(papers.enabled()[0].name);
+            const { images, sides, cache } = await renderLayouts(ws, uploadedPath, baseName, options.layout, report, fp, paperNames);
+            await renderCache.writeFingerprint(ws.uploadsDir, baseName, fp);
+
+            // totalPages counts printed pages (sheets when several pages share one)
+            return { images, totalPages: sides, sourcePages, pages, originalSize, mixedSizes, layout: options.layout, baseName, cache };
+        } catch (err) {
+            console.error('*** CRITICAL UPLOAD CRASH DETECTED ***');
+            console.error(err);
+            // clean up partial uploads
+            for (const f of [uploadedPath, ...files.map(f => f.path)]) {
+                if (f) fsPromise.unlink(f).catch(()=>{});
+            }
+            throw err;
+        }
+    });
+    return res.json({ success: true, jobId: job.id });
+});
 
-    return totalUsedSections;
+// A paid or printing job must print what was paid for
+function isPaidFor(sid, baseName) {
+    return !!db.prepare(`
+        SELECT 1 FROM Transactions WHERE Session_Id = ? AND File_Path = ? AND Status IN ('paid', 'printing') LIMIT 1
+    `).get(sid, baseName);
 }
 
-// ----- Routes -----
-// DELETE last uploaded caches and pdfs
-app.delete('/delete-last/:baseName', async (req, res) => {
-    const baseName = String(req.params.baseName || '').replace(/[^a-zA-Z0-9_\-]/g, '');
+// Re-render an uploaded document with different layout settings (scaling, pages per sheet, margin, auto-rotate)
+app.post('/rerender', async (req, res) => {
+    const baseName = String(req.body.baseName || '').replace(/[^a-zA-Z0-9_\-]/g, '');
     if (!baseName) return res.json({ success: false, message: 'Invalid basename' });
 
     try {
-        // remove cached pngs
-        for (const folder of [letterCache, legalCache]) {
-            const files = await fsPromise.readdir(folder);
-            // FIX 3: Check for both baseName_ and baseName- prefixes for cleanup
-            await Promise.all(files.filter(f => f.startsWith(baseName + '_') || f.startsWith(baseName + '-')).map(f => fsPromise.unlink(path.join(folder, f)).catch(()=>{})));
-        }
-        // remove resized pdfs if present
-        const letterPDF = path.join(uploadsDir, baseName + '_letter.pdf');
-        const legalPDF = path.join(uploadsDir, baseName + '_legal.pdf');
-        await Promise.all([letterPDF, legalPDF].map(f => fsPromise.unlink(f).catch(()=>{})));
-        return res.json({ success: true });
+        const sourcePath = path.join(req.workspace.uploadsDir, baseName + '.pdf');
+        if (!fs.existsSync(sourcePath)) return res.json({ success: false, message: 'Upload the file again.' });
+
+        if (isPaidFor(req.sessionId, baseName)) return res.json({ success: false, message: 'This document is already paid for.' });
+
+        const paperNames = requestedPapers(req.body);
+        if (!paperNames.length) return res.json({ success: false, message: 'Choose a paper size.' });
+
+        const ws = req.workspace;
+        const layout = layouts.parseLayout(req.body);
+        const job = jobs.create(req.sessionId, async report => {
+            const fp = await renderCache.readFingerprint(ws.uploadsDir, baseName) || await renderCache.fingerprint([sourcePath]);
+            // the other papers are laid out again when the customer picks one of them
+            await dropLayouts(ws, baseName, papers.names().filter(p => !paperNames.includes(p)));
+            const { images, sides, cache } = await renderLayouts(ws, sourcePath, baseName, layout, report, fp, paperNames);
+            return { images, totalPages: sides, layout, baseName, cache };
+        });
+        return res.json({ success: true, jobId: job.id });
     } catch (err) {
-        console.error(err);
+        console.error('rerender error:', err);
         return res.json({ success: false, message: err.message });
     }
 });
 
-// UPLOAD and convert
-app.post('/upload', async (req, res) => {
-    let uploadedPath;
-    try {
-        await new Promise((resolve, reject) => {
-            upload.single('pdfFile')(req, res, err => err ? reject(err) : resolve());
-        });
+// PAGE EDITOR: rebuild the document from the upload in the given page order and rotation
+// (body.pages = [{ source, rotate }], see pageedits.js), then re-render only the sides that changed
+app.post('/edit-pages', async (req, res) => {
+    const baseName = String(req.body.baseName || '').replace(/[^a-zA-Z0-9_\-]/g, '');
+    if (!baseName) return res.json({ success: false, message: 'Invalid basename' });
+    const edits = pageEdits.parse(req.body.pages);
+    if (!edits) return res.json({ success: false, message: 'Invalid page list.' });
 
-        if (!req.file) return res.json({ success: false, message: 'No file uploaded' });
-        
-        // If we reach here, the file was successfully saved to disk by Multer.
-        uploadedPath = path.join(uploadsDir, req.file.filename);
-        const baseName = path.parse(req.file.filename).name;
+    try {
+        const ws = req.workspace;
+        const sourcePath = path.join(ws.uploadsDir, baseName + '.pdf');
+        if (!fs.existsSync(sourcePath)) return res.json({ success: false, message: 'Upload the file again.' });
+        if (isPaidFor(req.sessionId, baseName)) return res.json({ success: false, message: 'This document is already paid for.' });
+        const paperNames = requestedPapers(req.body);
+        if (!paperNames.length) return res.json({ success: false, message: 'Choose a paper size.' });
+
+        const job = jobs.create(req.sessionId, async report => {
+            report.stage('edit');
+            const originalPath = await pageEdits.keepOriginal(ws.uploadsDir, baseName);
+            const pageCount = (await renderer.loadPdf(originalPath)).getPageCount();
+            if (edits.some(e => e.source > pageCount)) throw new Error(`This document has ${pageCount} pages.`);
+
+            // the render cache knows the document by its upload's fingerprint plus the edits
+            const previous = await pageEdits.read(ws.uploadsDir, baseName);
+            const baseFp = previous ? previous.fingerprint
+                : await renderCache.readFingerprint(ws.uploadsDir, baseName) || await renderCache.fingerprint([originalPath]);
+            const fp = pageEdits.isIdentity(edits, pageCount) ? baseFp : pageEdits.fingerprint(baseFp, edits);
+
+            await pageEdits.apply(originalPath, sourcePath, edits);
+            await pageEdits.write(ws.uploadsDir, baseName, { fingerprint: baseFp, sourcePages: pageCount, pages: edits });
+            await renderCache.writeFingerprint(ws.uploadsDir, baseName, fp);
+
+            const layout = await layouts.readLayout(ws.uploadsDir, baseName);
+            const before = previous ? previous.pages : pageEdits.identity(pageCount);
+            const reuse = pageEdits.matchSides(before, edits, layout.pagesPerSheet);
+            await dropLayouts(ws, baseName, papers.names().filter(p => !paperNames.includes(p)));
+            const { images, sides, cache } = await renderLayouts(ws, sourcePath, baseName, layout, report, fp, paperNames, reuse);
+            // one page per sheet: one side per kept page, so previews of another page sequence never get through
+            if (layout.pagesPerSheet === '1' && sides !== edits.length) {
+                throw new Error(`The edited document should have ${edits.length} pages but ${sides} were prepared.`);
+            }
 
-        // ... (rest of the upload logic, which starts with clearing caches) ...
+            const pdfDoc = await renderer.loadPdf(sourcePath);
+            return {
+                images,
+                totalPages: sides,
+                sourcePages: pdfDoc.getPageCount(),
+                ...describePages(pdfDoc),
+                edits,
+                reused: cache === 'miss' ? reuse.filter(Boolean).length : 0,
+                layout,
+                baseName,
+                cache
+            };
+        });
+        return res.json({ success: true, jobId: job.id });
+    } catch (err) {
+        console.error('edit-pages error:', err);
+        return res.json({ success: false, message: err.message });
+    }
+});
 
-        // clear caches first
-        await Promise.all([clearCache(letterCache), clearCache(legalCache)]);
+// Lay an uploaded document out on papers it has no previews for yet (the customer switched paper size,
+// or best match per page needs another size), with the layout and page order it already has
+app.post('/render-paper', async (req, res) => {
+    const baseName = String(req.body.baseName || '').replace(/[^a-zA-Z0-9_\-]/g, '');
+    if (!baseName) return res.json({ success: false, message: 'Invalid basename' });
+    const paperNames = requestedPapers(req.body);
+    if (!paperNames.length) return res.json({ success: false, message: 'Choose a paper size.' });
 
-        // read pdf to get pagecount and first page size
-        const existingBytes = await fsPromise.readFile(uploadedPath);
-        const pdfDoc = await PDFDocument.load(existingBytes);
-        const totalPages = pdfDoc.getPageCount();
+    try {
+        const ws = req.workspace;
+        const sourcePath = path.join(ws.uploadsDir, baseName + '.pdf');
+        if (!fs.existsSync(sourcePath)) return res.json({ success: false, message: 'Upload the file again.' });
+
+        const job = jobs.create(req.sessionId, async report => {
+            const layout = await layouts.readLayout(ws.uploadsDir, baseName);
+            const fp = await renderCache.readFingerprint(ws.uploadsDir, baseName) || await renderCache.fingerprint([sourcePath]);
+            const missing = paperNames.filter(paper => !fs.existsSync(layoutPath(ws, baseName, paper)));
+            const { images, sides, cache } = await renderLayouts(ws, sourcePath, baseName, layout, report, fp, missing);
+            return { images, totalPages: missing.length ? sides : null, baseName, cache };
+        });
+        return res.json({ success: true, jobId: job.id });
+    } catch (err) {
+        console.error('render-paper error:', err);
+        return res.json({ success: false, message: err.message });
+    }
+});
 
-        const firstPage = pdfDoc.getPage(0);
-        const { width: origW, height: origH } = firstPage.getSize();
+// Conversion progress: poll the current state...
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id, req.sessionId);
+    if (!job) return res.json({ success: false, message: 'Job not found.' });
+    res.json({ success: true, job: jobs.snapshot(job) });
+});
 
-        // Heuristic for originalSize
-        let originalSize = (Math.round(origW) === 612 && Math.round(origH) === 792) ? 'letter'
-            : (Math.round(origW) === 612 && Math.round(origH) === 1008) ? 'legal'
-            : (origH > 900 ? 'legal' : 'letter');
+// ...or follow it live: "state" first, then "progress" / "page" events until "done" or "failed"
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id, req.sessionId);
+    if (!job) return res.status(404).end();
 
-        const letterPDF = path.join(uploadsDir, baseName + '_letter.pdf');
-        const legalPDF = path.join(uploadsDir, baseName + '_legal.pdf');
+    const send = openEventStream(req, res);
+    send('state', jobs.snapshot(job));
+    if (job.status === 'done' || job.status === 'failed') return res.end();
 
-        // create resized pdfs (async)
-        await Promise.all([
-            resizePDF(uploadedPath, letterPDF, 612, 792),
-            resizePDF(uploadedPath, legalPDF, 612, 1008)
-        ]);
+    const unsubscribe = jobs.subscribe(job, (event, data) => {
+        send(event, data);
+        if (event === 'done' || event === 'failed') res.end();
+    });
+    req.on('close', unsubscribe);
+});
 
-        // Convert to PNG images with Ghostscript
-	const letterPngPaths = await convertPdfToPngsWithGhostscript(letterPDF, letterCache, baseName);
-	const legalPngPaths = await convertPdfToPngsWithGhostscript(legalPDF, legalCache, baseName);
-        // return web paths (relative to server)
-	const letterImages = letterPngPaths.map(p => '/cache/letter/' + path.basename(p));
-        const legalImages = legalPngPaths.map(p => '/cache/legal/' + path.basename(p));
+// Measure one document's previews and price it with its own settings (job = a transaction, or one
+// document of a cart order, see items.js). Returns { result, pages } or { error }.
+async function quoteJob(ws, job) {
+    const { Paper_Size: paper, File_Path: baseName, Color: color, Pages: pages, Copies: copies } = job;
+    if (!paper || !baseName) return { error: 'Missing params' };
+    const auto = paper === parts.AUTO;
+    if (!auto && !papers.get(paper)) return { error: 'Invalid paper size' };
+    const selectedPages = String(pages || '').split(',').map(s => Number(s.trim())).filter(n => !isNaN(n));
+    if (!selectedPages.length) return { error: 'No pages selected' };
+
+    // the sides to price, grouped by the paper they print on (one group unless the job is split per page size)
+    const groups = auto
+        ? parts.list(job.Transaction_Id, job.Item_Id).map(part => ({ paper: part.paper, pages: parts.pageList(part.pages) }))
+        : [{ paper, pages: selectedPages }];
+
+    const measured = [];
+    for (const group of groups) {
+        const dir = ws.paperCache(group.paper);
+        const files = await fsPromise.readdir(dir).catch(() => []);
+        const pageOf = f => Number(f.replace(baseName + '_', '').replace('.png', ''));
+        // match file numbers present in the group's pages
+        const matched = files
+            .filter(f => f.startsWith(baseName + '_') && group.pages.includes(pageOf(f)))
+            .sort((a, b) => pageOf(a) - pageOf(b));
 
-        // Optionally remove the original uploaded file (to save space)
-        await fsPromise.unlink(uploadedPath).catch(()=>{});
+        if (matched.length === 0) return { error: 'No cached images found.' };
 
-        // respond with images
-        return res.json({
-            success: true,
-            images: { letter: letterImages, legal: legalImages },
-            totalPages,
-            originalSize,
-            baseName
-        });
+        // A booklet only works when every sheet is printed
+        const allSides = files.filter(f => f.startsWith(baseName + '_') && f.endsWith('.png')).length;
+        if (job.Pages_Per_Sheet === 'booklet' && matched.length !== allSides) {
+            return { error: 'A booklet must be printed with all pages.' };
+        }
 
-    } catch (err) {
-        console.error('*** CRITICAL UPLOAD CRASH DETECTED ***');
-        console.error(err);
-        if (uploadedPath) {
-            fsPromise.unlink(uploadedPath).catch(()=>{}); // clean up partial uploads
+        // B&W is measured on previews of the grayscale PDF that gets printed, never on the color ones
+        const pdfPath = path.join(ws.uploadsDir, `${baseName}_${group.paper}.pdf`);
+        const pageCoverage = [];
+        // process sequentially to avoid memory spike on Pi
+        for (const f of matched) {
+            const full = color === 'bw'
+                ? await grayscale.ensurePreview(pdfPath, dir, baseName, pageOf(f))
+                : path.join(dir, f);
+            pageCoverage.push({ page: pageOf(f), paper: group.paper, ...await coverage.analyzePage(full) });
         }
-        return res.json({ success: false, message: (err && err.message) || 'Conversion failed' });
+        measured.push({ paper: group.paper, pages: pageCoverage });
     }
-});
 
-// Calculate cost (uses cached pngs)
+    // charged per physical sheet: N-up is already imposed in the previews, duplex puts two sides on a sheet
+    const duplex = job.Duplex || 'off';
+    const result = auto
+        ? pricing.quoteParts({ parts: measured, color, copies, duplex })
+        : pricing.quote({ paper, color, pages: measured[0].pages, copies, duplex });
+    return { result, pages: measured.flatMap(group => group.pages) };
+}
+
+// Calculate cost (uses cached pngs) and store it as the transaction's quote.
+// Settings come from the stored transaction, never from the request body.
 app.post('/calculate-cost', async (req, res) => {
     try {
-        const { paper, baseName, color, pages, copies } = req.body;
-        if (!paper || !baseName) return res.json({ success: false, message: 'Missing params' });
-        const selectedPages = String(pages || '').split(',').map(s => Number(s.trim())).filter(n => !isNaN(n));
-        if (!selectedPages.length) return res.json({ success: false, message: 'No pages selected' });
-
-        const dir = path.join(cacheDir, String(paper));
-        const files = await fsPromise.readdir(dir);
-        // match file numbers present in selectedPages
-        const matched = files
-            .filter(f => f.startsWith(baseName + '_')) 
-            .filter(f => {
-                // 2. Extract page number using the correct prefix: baseName + '_'
-                const pageNumStr = f.replace(baseName + '_', '').replace('.png','');
-                
-                // 3. Convert to number and check against selectedPages
-                const pg = Number(pageNumStr);
-                return selectedPages.includes(pg);
-            })
-            .sort((a,b) => {
-                // Sorting logic also needs to be updated for the correct prefix
-                const na = Number(a.replace(baseName + '_', '').replace('.png',''));
-                const nb = Number(b.replace(baseName + '_', '').replace('.png',''));
-                return na - nb;
+        const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(Number(req.body.id));
+        if (!tx || tx.Session_Id !== req.sessionId) return res.json({ success: false, message: 'Transaction not found.' });
+
+        // Already paid: the paid-for quote stands
+        if (tx.Status === 'paid') {
+            const paidQuote = quotes.latestQuote(tx.Transaction_Id);
+            return res.json({
+                success: true,
+                totalCost: paidQuote.amount,
+                totalPages: paidQuote.breakdown.totalPages,
+                totalSheets: paidQuote.breakdown.totalSheets,
+                pricingVersion: paidQuote.pricingVersion,
+                quote: { id: paidQuote.id, amount: paidQuote.amount, expiresAt: paidQuote.expiresAt, breakdown: paidQuote.breakdown }
             });
-
-        if (matched.length === 0) return res.json({ success: false, message: 'No cached images found.' });
-
-        let totalUsedSections = 0;
-        // process sequentially to avoid memory spike on Pi
-        for (const f of matched) {
-            const full = path.join(dir, f);
-            await convertToBWIfNeeded(full, color);
-            const used = await scanUsedSections(full);
-            totalUsedSections += used;
+        }
+        if (!transactions.canTransition(tx.Status, 'quoted')) {
+            return res.json({ success: false, message: `This transaction is ${tx.Status} and can no longer be quoted.` });
         }
 
-	const baseCost = (color === 'color') ? 10 : 5;
-        const totalPages = matched.length;
-        
-        // FIX: Calculate section charge based on color mode.
-        // The charge is only applied if color is 'color'. Otherwise, it is 0.
-        const sectionCharge = (color === 'color') ? totalUsedSections * 0.5 : 0;
-        
-        // Update total cost calculation to use the conditional sectionCharge
-        const totalCost = Math.round((baseCost * totalPages + sectionCharge) * Number(copies || 1));
+        // every document of the order (one unless it is a cart) is measured and priced with its own settings
+        const orderJobs = items.jobsOf(tx);
+        const quoted = [];
+        for (const job of orderJobs) {
+            const { error, result, pages } = await quoteJob(req.workspace, job);
+            if (error) return res.json({ success: false, message: orderJobs.length > 1 ? `Document ${job.Item_No}: ${error}` : error });
+            quoted.push({ job, result, pages });
+        }
+        const result = quoted.length === 1 ? quoted[0].result : pricing.quoteDocuments(quoted.map(({ job, result }) => ({
+            itemNo: job.Item_No,
+            file: job.File_Path,
+            paper: job.Paper_Size,
+            color: job.Color,
+            duplex: job.Duplex || 'off',
+            result
+        })));
+        const quote = quotes.saveQuote(tx, result);
+        for (const { job, result: jobResult } of quoted) {
+            if (job.Paper_Size === parts.AUTO) parts.setAmounts(tx.Transaction_Id, jobResult.parts, job.Item_Id ?? null);
+            if (job.Item_Id) items.setAmount(job.Item_Id, jobResult.totalCost);
+        }
+        transactions.transition(tx.Transaction_Id, 'quoted', { actor: 'kiosk', amount: quote.amount, note: `Quote #${quote.id}` });
+        quotes.settle(tx.Transaction_Id); // credit inserted before the quote may already cover it
 
-        return res.json({ success: true, totalCost, usedSections: totalUsedSections, totalPages });
+        return res.json({
+            success: true,
+            totalCost: quote.amount,
+            pages: quoted.flatMap(q => (quoted.length > 1 ? q.pages.map(p => ({ ...p, document: q.job.Item_No })) : q.pages)),
+            totalPages: result.totalPages,
+            totalSheets: result.totalSheets,
+            pricingVersion: quote.pricingVersion,
+            quote: { id: quote.id, amount: quote.amount, expiresAt: quote.expiresAt, breakdown: quote.breakdown }
+        });
 
     } catch (err) {
         console.error('calculate-cost error:', err);
@@ -352,34 +589,97 @@ app.post('/calculate-cost', async (req, res) => {
     }
 });
 
-// Transaction create
-app.post('/transaction/create', (req, res) => {
-    try {
-        let { Date: dateString, Amount, Color, Pages, Copies, Paper_Size, File_Path, File_Size, Status } = req.body;
+// Check one document's print settings from the kiosk and add what the server knows about its files.
+// Returns { doc } with the TransactionItems fields (plus split, the parts of a best-match-per-page document)
+// or { error }.
+async function checkDocument(ws, body) {
+    let { Color, Pages, Copies, Paper_Size, File_Path, File_Size, Duplex = 'off' } = body || {};
+
+    Copies = Number(Copies);
+    if (isNaN(Copies) || Copies < 1) return { error: "Invalid number of copies." };
+
+    const allowedColors = ["bw", "color"];
+    if (!allowedColors.includes(Color)) return { error: "Invalid color selection." };
+
+    if (typeof Pages !== "string" || !Pages.match(/^[0-9,\-\s]+$/)) return { error: "Invalid page selection." };
+    const auto = Paper_Size === parts.AUTO;
+    if (!auto && !papers.isEnabled(Paper_Size)) return { error: "Invalid paper size." };
+    if (typeof File_Path !== "string" || File_Path.length > 200) return { error: "Invalid file path." };
+    if (!pricing.DUPLEX_MODES.includes(Duplex)) return { error: "Invalid duplex setting." };
+
+    // Record the layout the files were actually rendered with, not what the client claims
+    const layout = await layouts.readLayout(ws.uploadsDir, path.basename(File_Path));
+    const edited = await pageEdits.read(ws.uploadsDir, path.basename(File_Path));
+    const pageEditsJson = edited && !pageEdits.isIdentity(edited.pages, edited.sourcePages) ? JSON.stringify(edited.pages) : null;
+    // booklet sheets are imposed sideways: they need both sides, flipped on the short edge
+    if (layout.pagesPerSheet === 'booklet' && !['short-edge', 'manual'].includes(Duplex)) Duplex = 'short-edge';
+
+    // Best match per page: split the selected pages by the paper each one fits
+    let split = [];
+    if (auto) {
+        if (layout.pagesPerSheet !== '1') return { error: "Best match per page only works with one page per sheet." };
+        if (Duplex === 'manual') return { error: "Best match per page cannot be used with manual double-sided printing." };
+        const pdfDoc = await renderer.loadPdf(path.join(ws.uploadsDir, path.basename(File_Path) + '.pdf'));
+        split = parts.split(layouts.pageSizes(pdfDoc), parts.pageList(Pages));
+        if (!split.length) return { error: "Invalid page selection." };
+    }
 
+    // papers are laid out when the customer picks them (see renderLayouts)
+    const needed = auto ? split.map(part => part.paper) : [Paper_Size];
+    if (needed.some(paper => !fs.existsSync(layoutPath(ws, path.basename(File_Path), paper)))) {
+        return { error: "This paper size has not been prepared yet. Select it again." };
+    }
+
+    return {
+        doc: {
+            Color, Pages, Copies, Paper_Size, File_Path, File_Size, Duplex,
+            Scaling: layout.scaling,
+            Margin_Mm: layout.marginMm,
+            Auto_Rotate: layout.autoRotate ? 1 : 0,
+            Pages_Per_Sheet: layout.pagesPerSheet,
+            Page_Edits: pageEditsJson,
+            split
+        }
+    };
+}
+
+// Transaction create. A cart sends its documents in Items (printed in that order, one total);
+// a single document may still be sent as the body itself.
+app.post('/transaction/create', async (req, res) => {
+    try {
+        const { Date: dateString } = req.body;
         if (!dateString || isNaN(new Date(dateString))) return res.json({ success: false, message: "Invalid date." });
-        Amount = Number(Amount); Copies = Number(Copies);
-        if (isNaN(Amount) || Amount < 0) Amount = 0;
-        if (isNaN(Copies) || Copies < 1) return res.json({ success: false, message: "Invalid number of copies." });
 
-        const allowedColors = ["bw", "color"];
-        if (!allowedColors.includes(Color)) return res.json({ success: false, message: "Invalid color selection." });
+        const bodies = Array.isArray(req.body.Items) ? req.body.Items : [req.body];
+        if (!bodies.length) return res.json({ success: false, message: "The cart is empty." });
+        if (bodies.length > items.MAX_ITEMS) return res.json({ success: false, message: `At most ${items.MAX_ITEMS} documents fit in one order.` });
 
-        if (typeof Pages !== "string" || !Pages.match(/^[0-9,\-\s]+$/)) return res.json({ success: false, message: "Invalid page selection." });
-        const allowedSizes = ["letter", "legal"];
-        if (!allowedSizes.includes(Paper_Size)) return res.json({ success: false, message: "Invalid paper size." });
-        if (typeof File_Path !== "string" || File_Path.length > 200) return res.json({ success: false, message: "Invalid file path." });
+        const docs = [];
+        for (const [i, body] of bodies.entries()) {
+            const { doc, error } = await checkDocument(req.workspace, body);
+            if (error) return res.json({ success: false, message: bodies.length > 1 ? `Document ${i + 1}: ${error}` : error });
+            docs.push(doc);
+        }
 
-        const allowedStatuses = ["pending", "printing", "completed", "cancelled"];
-        if (!allowedStatuses.includes(Status)) Status = "pending";
+        // Every transaction starts unpaid; the amount is set from its quote when printing starts
+        const Amount = 0;
+        const Status = "pending";
+        const first = docs[0]; // the transaction row carries the first document's settings (see items.js)
 
         const createTx = db.transaction(() => {
             const stmt = db.prepare(`
                 INSERT INTO Transactions
-                (Date, Amount, Color, Pages, Copies, Paper_Size, File_Path, File_Size, Status)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                (Date, Amount, Color, Pages, Copies, Paper_Size, File_Path, File_Size, Status, Session_Id, Scaling, Margin_Mm, Auto_Rotate, Pages_Per_Sheet, Duplex, Page_Edits)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
-            return stmt.run(dateString, Amount, Color, Pages, Copies, Paper_Size, File_Path, File_Size, Status);
+            const result = stmt.run(dateString, Amount, first.Color, first.Pages, first.Copies, first.Paper_Size, first.File_Path, first.File_Size,
+                Status, req.sessionId, first.Scaling, first.Margin_Mm, first.Auto_Rotate, first.Pages_Per_Sheet, first.Duplex, first.Page_Edits);
+            const id = result.lastInsertRowid;
+            transactions.recordEvent(id, null, Status, { actor: 'kiosk', amount: Amount, note: docs.length > 1 ? `${docs.length} documents` : null });
+            items.save(id, docs).forEach((itemId, i) => {
+                if (docs[i].Paper_Size === parts.AUTO) parts.save(id, docs[i].split, itemId);
+            });
+            return result;
         });
 
         const result = createTx();
@@ -392,30 +692,193 @@ app.post('/transaction/create', (req, res) => {
 });
 
 // Transaction update
-app.post('/transaction/update', (req, res) => {
+app.post('/transaction/update', async (req, res) => {
     try {
         const { id, Amount, Status } = req.body;
-        const allowedStatuses = ["pending", "printing", "completed", "cancelled"];
-        const safeStatus = allowedStatuses.includes(Status) ? Status : "pending";
-        const safeAmount = isNaN(Number(Amount)) ? 0 : Number(Amount);
+        // The kiosk may only start printing or cancel; everything else is driven by the server
+        const allowedStatuses = ["printing", "cancelled"];
+        if (!allowedStatuses.includes(Status)) return res.json({ success: false, message: "Invalid status." });
+        const safeStatus = Status;
+
+        const current = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(id);
+        if (!current || current.Session_Id !== req.sessionId) return res.json({ success: false, message: "Transaction not found." });
+
+        // Printing charges the server's quote, and only once payment covers it.
+        // Only a paid job prints from here: reprints and retries are the operator's (admin reprint route),
+        // since the credit on a printed job has already been spent.
+        let chargedAmount = null;
+        if (safeStatus === "printing") {
+            if (current.Status === 'quoted') {
+                // enough credit never settles an expired quote: the cost page has to quote again
+                const { error, code } = quotes.getValidQuote(current);
+                if (code) return res.json({ success: false, code, message: error });
+            }
+            if (current.Status !== 'paid') {
+                return res.json({ success: false, message: current.Status === 'quoted' ? "Payment does not cover the quoted price." : `This transaction is ${current.Status} and cannot be printed from here.` });
+            }
+            const { quote, error } = quotes.getValidQuote(current);
+            if (error) return res.json({ success: false, message: error });
+            if (Amount !== undefined && Number(Amount) !== quote.amount) {
+                return res.json({ success: false, message: "Amount does not match the quoted price." });
+            }
+            if (payment.getCredit(id) < quote.amount) {
+                return res.json({ success: false, message: "Payment does not cover the quoted price." });
+            }
+            chargedAmount = quote.amount;
+        }
 
         const updateTx = db.transaction(() => {
-            const stmt = db.prepare(`
-                UPDATE Transactions
-                SET Amount = ?, Status = ?
-                WHERE Transaction_Id = ?
-            `);
-            return stmt.run(safeAmount, safeStatus, id);
+            transactions.transition(current.Transaction_Id, safeStatus, { actor: 'kiosk', amount: chargedAmount });
+            // A fresh print request starts a fresh spooler submission
+            if (safeStatus === "printing") {
+                db.prepare(`UPDATE Transactions SET Spool_Job_Id = NULL, Print_Attempts = 0, Print_Error = NULL, Print_Stage = NULL WHERE Transaction_Id = ?`).run(id);
+                parts.resetPrinting(id);
+                items.resetPrinting(id);
+            }
         });
 
         updateTx();
-        res.json({ success: true });
+        payment.clearActiveTransaction(id);
+        const jobs = items.jobsOf(current);
+        if (safeStatus === "printing") printer.enqueue(id);
+        if (safeStatus === "cancelled") {
+            // every document of the order, each file once
+            for (const filePath of new Set(jobs.map(job => job.File_Path))) await sessions.clearJob(current.Session_Id, filePath);
+        }
+        res.json({ success: true, manualDuplex: safeStatus === "printing" && jobs.some(job => job.Duplex === 'manual') });
 
     } catch (err) {
+        if (err instanceof transactions.TransitionError) return res.json({ success: false, message: err.message });
         console.error('transaction/update error', err);
         res.json({ success: false, message: err.message });
     }
 });
+// Transaction status (print progress and spooler errors) of this session's transaction
+app.get('/transaction/:id', (req, res) => {
+    try {
+        const tx = db.prepare(`
+            SELECT Transaction_Id, Status, Amount, Duplex, Spool_Job_Id, Print_Attempts, Print_Error, Print_Stage, Session_Id
+            FROM Transactions WHERE Transaction_Id = ?
+        `).get(req.params.id);
+        if (!tx || tx.Session_Id !== req.sessionId) return res.json({ success: false, message: "Transaction not found." });
+        const { Session_Id, ...transaction } = tx;
+        res.json({ success: true, transaction });
+    } catch (err) {
+        console.error('transaction/get error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Customer status page: queue position, pages printed, the outcome and a receipt link
+app.get('/status/:id', (req, res) => res.sendFile(path.join(root, 'public', 'status.html')));
+
+// Live job state for the status page, sent again on every status change, queue move and finished spooler job
+app.get('/status/:id/events', (req, res) => {
+    const tx = db.prepare('SELECT Session_Id FROM Transactions WHERE Transaction_Id = ?').get(Number(req.params.id));
+    const send = openEventStream(req, res);
+    if (!tx || tx.Session_Id !== req.sessionId) {
+        send('status', null); // not found: the page stops listening
+        return res.end();
+    }
+    const stop = jobStatus.watch(req.params.id, state => send('status', state));
+    req.on('close', stop);
+});
+
+app.get('/receipt/:id', (req, res) => res.sendFile(path.join(root, 'public', 'receipt.html')));
+
+app.get('/transaction/:id/receipt', (req, res) => {
+    try {
+        const tx = db.prepare('SELECT Transaction_Id, Session_Id FROM Transactions WHERE Transaction_Id = ?').get(Number(req.params.id));
+        if (!tx || tx.Session_Id !== req.sessionId) return res.json({ success: false, message: "Transaction not found." });
+        res.json({ success: true, receipt: jobStatus.receipt(tx.Transaction_Id) });
+    } catch (err) {
+        console.error('receipt error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Job code: pay for and print this session's transaction at the kiosk instead (see pairing.js)
+app.post('/job-code', (req, res) => {
+    try {
+        const tx = db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(Number(req.body.id));
+        if (!tx || tx.Session_Id !== req.sessionId) return res.json({ success: false, message: "Transaction not found." });
+        const { code, expiresAt } = pairing.issue(tx);
+        res.json({ success: true, code, expiresAt });
+    } catch (err) {
+        if (err instanceof pairing.PairingError) return res.json({ success: false, message: err.message });
+        console.error('job-code error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Pick up a transaction at the kiosk by its job code: it moves into this session
+app.post('/job-code/claim', async (req, res) => {
+    try {
+        const tx = await pairing.claim(req.body.code, req.sessionId);
+        // the documents as the cost page is opened for them
+        const documents = items.jobsOf(tx).map(({ Color, Pages, Copies, Paper_Size, File_Path }) => ({ Color, Pages, Copies, Paper_Size, File_Path }));
+        res.json({ success: true, id: tx.Transaction_Id, documents });
+    } catch (err) {
+        if (err instanceof pairing.PairingError) return res.json({ success: false, message: err.message });
+        console.error('job-code/claim error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Point the coin acceptor at this session's transaction and report the credit so far
+app.post('/payment/start', (req, res) => {
+    try {
+        // the acceptor (and credit inserted before anyone started it) only ever goes to the kiosk's own screen
+        if (!req.isKiosk) return res.json({ success: false, message: "Pay at the kiosk: get a job code for this order and type it there." });
+        const id = Number(req.body.id);
+        const tx = db.prepare('SELECT Status, Session_Id FROM Transactions WHERE Transaction_Id = ?').get(id);
+        if (!tx || tx.Session_Id !== req.sessionId) return res.json({ success: false, message: "Transaction not found." });
+        if (!["pending", "quoted", "paid"].includes(tx.Status)) return res.json({ success: false, message: "Transaction is no longer accepting payment." });
+
+        const credit = payment.setActiveTransaction(id, req.sessionId);
+        res.json({ success: true, credit });
+    } catch (err) {
+        if (err instanceof payment.PaymentError) return res.json({ success: false, message: err.message });
+        console.error('payment/start error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
+// Live credit updates for this session's cost page
+app.get('/payment/events/:id', (req, res) => {
+    const id = Number(req.params.id);
+    const tx = db.prepare('SELECT Session_Id FROM Transactions WHERE Transaction_Id = ?').get(id);
+    if (!tx || tx.Session_Id !== req.sessionId) return res.status(404).end();
+    const send = openEventStream(req, res);
+    send('credit', { transactionId: id, credit: payment.getCredit(id) });
+
+    const onCredit = e => { if (e.transactionId === id) send('credit', e); };
+    payment.events.on('credit', onCredit);
+    req.on('close', () => payment.events.off('credit', onCredit));
+});
+
+// Pricing rules
+app.get('/pricing', (req, res) => {
+    try {
+        res.json({ success: true, ...pricing.getRules() });
+    } catch (err) {
+        console.error('pricing/get error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+// (price changes go through PUT /admin/api/pricing)
+
+// Paper sizes offered on the kiosk
+app.get('/papers', (req, res) => {
+    try {
+        const offered = papers.enabled().map(({ name, label, width, height }) => ({ name, label, width, height }));
+        res.json({ success: true, papers: offered });
+    } catch (err) {
+        console.error('papers/get error', err);
+        res.json({ success: false, message: err.message });
+    }
+});
+
 // Global Error Handler (Crucial for catching Multer errors)
 app.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -430,4 +893,18 @@ app.use((err, req, res, next) => {
 
 // start server (bind 0.0.0.0 so other devices on network can access captive portal)
 const PORT = process.env.PORT || 80;
-app.listen(PORT, '0.0.0.0', () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    printer.resumePending();
+    sessions.startSweeper();
+    pairing.startSweeper();
+    retention.start();
+    payment.events.on('credit', e => {
+        try {
+            quotes.settle(e.transactionId);
+        } catch (err) {
+            console.error('payment settle error', err);
+        }
+    });
+    payment.start();
+});
@@ -0,0 +1,244 @@
+// sessions.js - per-customer workspaces so concurrent uploads can't touch each other's files
+//
+// Every browser gets a random session id cookie. Its files live in
+//   uploads/<sid>/                 uploaded + resized PDFs
+//   cache/<sid>/<paper>/           preview / cost-scan PNGs, one folder per registered paper size (papers.js)
+//   cache/<sid>/<paper>/gray/      the same from the grayscale print PDF, for B&W jobs (grayscale.js)
+// and are removed on cancel, after printing, or when the session has been idle too long.
+// A printed job's PDF and previews move to jobs/<Transaction_Id>/ so operators can view and reprint it.
+const path = require('path');
+const fs = require('fs');
+const fsPromise = fs.promises;
+const crypto = require('crypto');
+const db = require('./db');
+const papers = require('./papers');
+const parts = require('./parts');
+const items = require('./items');
+const grayscale = require('./grayscale');
+
+const SESSION_COOKIE = 'piso_sid';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// The kiosk's own screen: its browser runs on the Pi and connects from these addresses.
+// Phones on the captive portal come in over the network and can set up jobs, but not pay.
+const KIOSK_ADDRESSES = (process.env.KIOSK_ADDRESSES || '127.0.0.1,::1,::ffff:127.0.0.1').split(',').map(a => a.trim());
+
+const uploadsRoot = path.join(__dirname, 'uploads');
+const cacheRoot = path.join(__dirname, 'cache');
+const jobsRoot = path.join(__dirname, 'jobs');
+
+const SID_PATTERN = /^[a-f0-9]{32}$/;
+const lastSeen = new Map(); // sid -> timestamp of last request
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const i = part.indexOf('=');
+        if (i < 0) return;
+        const name = part.slice(0, i).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+        } catch (e) {
+            cookies[name] = part.slice(i + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+function workspace(sid) {
+    const cacheDir = path.join(cacheRoot, sid);
+    return {
+        id: sid,
+        uploadsDir: path.join(uploadsRoot, sid),
+        cacheDir,
+        paperCache: paper => path.join(cacheDir, paper)
+    };
+}
+
+async function ensureWorkspace(ws) {
+    await fsPromise.mkdir(ws.uploadsDir, { recursive: true });
+    await Promise.all(papers.names().map(p => fsPromise.mkdir(ws.paperCache(p), { recursive: true })));
+}
+
+// Express middleware: attaches req.sessionId and req.workspace, issuing the cookie when missing
+function middleware(req, res, next) {
+    let sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!SID_PATTERN.test(sid || '')) {
+        sid = crypto.randomBytes(16).toString('hex');
+        res.cookie(SESSION_COOKIE, sid, { httpOnly: true, sameSite: 'lax', path: '/' });
+    }
+    lastSeen.set(sid, Date.now());
+    req.sessionId = sid;
+    req.workspace = workspace(sid);
+    req.isKiosk = KIOSK_ADDRESSES.includes(req.socket.remoteAddress);
+    next();
+}
+
+// ----- Cleanup -----
+async function removeMatching(dir, test) {
+    let files;
+    try {
+        files = await fsPromise.readdir(dir);
+    } catch (e) {
+        return; // folder never created
+    }
+    await Promise.all(files.filter(test).map(f => fsPromise.unlink(path.join(dir, f)).catch(() => {})));
+}
+
+// The files of one document: its PDFs, PNGs and the notes kept beside them
+const ownedBy = baseName => f => f.startsWith(baseName + '_') || f.startsWith(baseName + '-') || f === baseName + '.pdf';
+
+// Every folder of a workspace that holds document files
+const documentDirs = ws => [
+    ws.uploadsDir,
+    ...papers.names().flatMap(p => [ws.paperCache(p), grayscale.previewDirFor(ws.paperCache(p))])
+];
+
+// Remove one document's PDFs and PNGs from a session workspace
+async function clearJob(sid, baseName) {
+    if (!SID_PATTERN.test(sid || '') || !baseName) return;
+    await Promise.all(documentDirs(workspace(sid)).map(dir => removeMatching(dir, ownedBy(baseName))));
+}
+
+// Hand one document's files to another session (a job code claimed at the kiosk, see pairing.js)
+async function moveJob(fromSid, toSid, baseName) {
+    if (![fromSid, toSid].every(sid => SID_PATTERN.test(sid || '')) || !baseName || fromSid === toSid) return;
+    const targets = documentDirs(workspace(toSid));
+    const sources = documentDirs(workspace(fromSid));
+    for (const [i, dir] of sources.entries()) {
+        const files = (await fsPromise.readdir(dir).catch(() => [])).filter(ownedBy(baseName));
+        if (!files.length) continue;
+        await fsPromise.mkdir(targets[i], { recursive: true });
+        await Promise.all(files.map(f => fsPromise.rename(path.join(dir, f), path.join(targets[i], f))));
+    }
+}
+
+// Remove only the session's preview/scan PNGs (a new upload replaces the previous preview).
+// keep lists the documents already in the kiosk's cart, whose previews are still needed.
+async function clearPreviews(sid, keep = []) {
+    const ws = workspace(sid);
+    const dirs = papers.names().flatMap(p => [ws.paperCache(p), grayscale.previewDirFor(ws.paperCache(p))]);
+    const kept = f => keep.some(baseName => f.startsWith(baseName + '_'));
+    await Promise.all(dirs.map(dir => removeMatching(dir, f => f.endsWith('.png') && !kept(f))));
+}
+
+// ----- Printed jobs -----
+function jobArchiveDir(transactionId) {
+    return path.join(jobsRoot, String(Number(transactionId)));
+}
+
+// Where a transaction's print PDF and previews are now: its archive once printed, else the session workspace.
+// A best-match-per-page job has one PDF and preview folder per paper; pass the paper of the part wanted.
+function locateJobFiles(tx, paper = tx.Paper_Size) {
+    const baseName = path.basename(String(tx.File_Path));
+    const archive = jobArchiveDir(tx.Transaction_Id);
+    if (fs.existsSync(archive)) {
+        return { pdfPath: path.join(archive, `${baseName}_${paper}.pdf`), previewDir: archive, baseName };
+    }
+    const ws = tx.Session_Id ? workspace(tx.Session_Id) : { uploadsDir: uploadsRoot, paperCache: p => path.join(cacheRoot, p) };
+    return { pdfPath: path.join(ws.uploadsDir, `${baseName}_${paper}.pdf`), previewDir: ws.paperCache(paper), baseName };
+}
+
+// The papers a job prints on, with the pages printed on each (null = all of them)
+function jobPapers(tx) {
+    if (tx.Paper_Size !== parts.AUTO) return [{ paper: tx.Paper_Size, pages: null }];
+    return parts.list(tx.Transaction_Id, tx.Item_Id).map(part => ({ paper: part.paper, pages: parts.pageList(part.pages) }));
+}
+
+// Move a printed job's PDF and previews out of the session workspace, then clear the rest of its files.
+// Previews are numbered by page, so each part brings only its own pages and their names stay unique;
+// the documents of a cart have their own base names.
+// A B&W job's grayscale PDF and previews come along (into gray/), so a reprint needs no new conversion.
+async function archiveJob(tx) {
+    const archive = jobArchiveDir(tx.Transaction_Id);
+    if (fs.existsSync(archive)) return; // already archived (reprint)
+
+    const grayArchive = grayscale.previewDirFor(archive);
+    const jobs = items.jobsOf(tx);
+    const moves = []; // [file, archive folder]
+    const previewsIn = async (dir, baseName, pages) => (await fsPromise.readdir(dir).catch(() => []))
+        .filter(f => f.startsWith(baseName + '_') && f.endsWith('.png'))
+        .filter(f => !pages || pages.includes(Number(f.slice(baseName.length + 1, -4))))
+        .map(f => path.join(dir, f));
+    for (const job of jobs) {
+        for (const { paper, pages } of jobPapers(job)) {
+            const { pdfPath, previewDir, baseName } = locateJobFiles(job, paper);
+            moves.push([pdfPath, archive], ...(await previewsIn(previewDir, baseName, pages)).map(f => [f, archive]));
+            if (job.Color === 'bw') {
+                moves.push([grayscale.pdfPathFor(pdfPath), archive]);
+                moves.push(...(await previewsIn(grayscale.previewDirFor(previewDir), baseName, pages)).map(f => [f, grayArchive]));
+            }
+        }
+    }
+
+    await fsPromise.mkdir(jobs.some(job => job.Color === 'bw') ? grayArchive : archive, { recursive: true });
+    await Promise.all(moves.map(([file, folder]) =>
+        fsPromise.rename(file, path.join(folder, path.basename(file))).catch(() => {})));
+    for (const filePath of new Set(jobs.map(job => job.File_Path))) {
+        await clearJob(tx.Session_Id, path.basename(String(filePath)));
+    }
+}
+
+async function destroy(sid) {
+    if (!SID_PATTERN.test(sid || '')) return;
+    const ws = workspace(sid);
+    lastSeen.delete(sid);
+    await Promise.all([
+        fsPromise.rm(ws.uploadsDir, { recursive: true, force: true }),
+        fsPromise.rm(ws.cacheDir, { recursive: true, force: true })
+    ]);
+}
+
+// Paid, printing and failed (retryable) jobs still need their files, and so do jobs waiting to be
+// picked up at the kiosk with a job code
+function hasActivePrintJob(sid) {
+    return !!db.prepare(`
+        SELECT 1 FROM Transactions WHERE Session_Id = ? AND (
+            Status IN ('paid', 'printing', 'failed')
+            OR (Job_Code_Claimed_At IS NULL AND Job_Code_Expires_At > ?)
+        ) LIMIT 1
+    `).get(sid, new Date().toISOString());
+}
+
+// Drop sessions idle longer than the TTL. Also catches workspaces left on disk from before a restart.
+async function sweep() {
+    const now = Date.now();
+    const candidates = new Set();
+
+    for (const [sid, seen] of lastSeen) {
+        if (now - seen > SESSION_TTL_MS) candidates.add(sid);
+    }
+    for (const root of [uploadsRoot, cacheRoot]) {
+        const entries = await fsPromise.readdir(root).catch(() => []);
+        for (const name of entries) {
+            if (!SID_PATTERN.test(name) || lastSeen.has(name)) continue;
+            const stat = await fsPromise.stat(path.join(root, name)).catch(() => null);
+            if (stat && now - stat.mtimeMs > SESSION_TTL_MS) candidates.add(name);
+        }
+    }
+
+    for (const sid of candidates) {
+        if (hasActivePrintJob(sid)) continue;
+        await destroy(sid);
+        console.log('Session expired, workspace removed:', sid);
+    }
+}
+
+function startSweeper() {
+    setInterval(() => sweep().catch(e => console.error('session sweep error', e.message)), SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    middleware,
+    workspace,
+    ensureWorkspace,
+    clearJob,
+    moveJob,
+    clearPreviews,
+    locateJobFiles,
+    jobPapers,
+    archiveJob,
+    destroy,
+    startSweeper,
+    parseCookies
+};
@@ -0,0 +1,73 @@
+// transactions.js - transaction lifecycle: allowed status changes and their audit trail
+//
+//   pending -> quoted -> paid -> printing -> completed
+//                                        -> failed -> printing (retry)
+//   completed -> printing is an operator reprint.
+//   cancelled / refunded end a transaction early or after the fact.
+// Every change is written to TransactionEvents so disputed charges can be traced, and announced as a
+// 'change' event { transactionId, oldStatus, newStatus } for live status pages.
+const EventEmitter = require('events');
+const db = require('./db');
+
+const events = new EventEmitter();
+events.setMaxListeners(50); // one listener per open status page
+
+const TRANSITIONS = {
+    pending: ['quoted', 'cancelled'],
+    quoted: ['quoted', 'paid', 'cancelled'],
+    paid: ['printing', 'cancelled', 'refunded'],
+    printing: ['completed', 'failed', 'cancelled'],
+    failed: ['printing', 'cancelled', 'refunded'],
+    completed: ['printing', 'refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+const STATES = Object.keys(TRANSITIONS);
+
+class TransitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransitionError';
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function recordEvent(transactionId, oldStatus, newStatus, { actor = 'system', amount = null, note = null } = {}) {
+    db.prepare(`
+        INSERT INTO TransactionEvents (Transaction_Id, Created_At, Old_Status, New_Status, Amount, Actor, Note)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(transactionId, new Date().toISOString(), oldStatus, newStatus, amount, actor, note);
+    // after the surrounding database transaction has committed
+    setImmediate(() => events.emit('change', { transactionId: Number(transactionId), oldStatus, newStatus }));
+}
+
+// Move a transaction to a new status. `amount` (when given) is logged with the event and, except for
+// refunds, stored as the transaction's Amount.
+// Throws TransitionError if the change is not allowed from the current status.
+const transition = db.transaction((transactionId, to, options = {}) => {
+    const tx = db.prepare('SELECT Status, Amount FROM Transactions WHERE Transaction_Id = ?').get(transactionId);
+    if (!tx) throw new TransitionError('Transaction not found.');
+    if (!STATES.includes(to)) throw new TransitionError(`Unknown status "${to}".`);
+    if (!canTransition(tx.Status, to)) throw new TransitionError(`Cannot change a ${tx.Status} transaction to ${to}.`);
+
+    const amount = options.amount ?? null;
+    if (amount !== null && to !== 'refunded') {
+        db.prepare('UPDATE Transactions SET Status = ?, Amount = ? WHERE Transaction_Id = ?').run(to, amount, transactionId);
+    } else {
+        db.prepare('UPDATE Transactions SET Status = ? WHERE Transaction_Id = ?').run(to, transactionId);
+    }
+    recordEvent(transactionId, tx.Status, to, options);
+    return db.prepare('SELECT * FROM Transactions WHERE Transaction_Id = ?').get(transactionId);
+});
+
+function getEvents(transactionId) {
+    return db.prepare(`
+        SELECT Event_Id, Created_At, Old_Status, New_Status, Amount, Actor, Note
+        FROM TransactionEvents WHERE Transaction_Id = ? ORDER BY Event_Id
+    `).all(transactionId);
+}
+
+module.exports = { STATES, TRANSITIONS, TransitionError, canTransition, transition, recordEvent, getEvents, events };